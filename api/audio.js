@@ -0,0 +1,144 @@
+/**
+ * api/audio.js — Same-origin pronunciation clips for VocabLoop
+ *
+ * Proxies a word's pronunciation from Youdao (falling back to the Free
+ * Dictionary API recording) so the app plays audio from its own origin: no
+ * mixed-origin media requests (which iOS Safari drops in installed PWAs) and
+ * clips that the service worker and audio packs can store. Clips are kept in
+ * an in-memory LRU and on disk (AUDIO_CACHE_DIR, default the OS temp dir),
+ * and responses are marked immutable so the CDN answers repeat requests.
+ *
+ * Rate limited per IP (see ratelimit.js).
+ *
+ * Request:  GET ?word=<single English word>
+ * Response: audio/mpeg, or { error } with 400 / 404 / 502
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { withRateLimit } = require('./ratelimit');
+
+const CACHE_DIR = process.env.AUDIO_CACHE_DIR || path.join(os.tmpdir(), 'vocabloop-audio');
+const MEMORY_MAX = 500;               // clips are ~10–20 KB each
+const MAX_BYTES = 512 * 1024;
+const MIN_BYTES = 1024;               // shorter bodies are Youdao's silent placeholder or an error page
+const UPSTREAM_TIMEOUT_MS = 8000;
+const WORD_RE = /^[a-z][a-z'-]{0,39}$/;  // single words only — phrases are read by the browser's TTS
+
+const memory = new Map();             // word → { body, type }, oldest first
+
+function remember(word, clip) {
+  memory.delete(word);
+  memory.set(word, clip);
+  if (memory.size > MEMORY_MAX) memory.delete(memory.keys().next().value);
+}
+
+const fileOf = word => path.join(CACHE_DIR, encodeURIComponent(word) + '.mp3');
+
+async function readDisk(word) {
+  try { return { body: await fs.readFile(fileOf(word)), type: 'audio/mpeg' }; } catch (_) { return null; }
+}
+
+async function writeDisk(word, clip) {
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.writeFile(fileOf(word), clip.body);
+  } catch (err) {
+    // Read-only filesystem: the memory and CDN caches still work
+    console.error('[audio] Disk cache unavailable:', err.message);
+  }
+}
+
+/* ── Upstream ──────────────────────────────────────────────────────── */
+
+async function fetchClip(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) return null;
+    const type = (res.headers.get('content-type') || '').split(';')[0];
+    if (!type.startsWith('audio/')) return null;
+    const body = Buffer.from(await res.arrayBuffer());
+    return body.length >= MIN_BYTES && body.length <= MAX_BYTES ? { body, type } : null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/** URL of the Free Dictionary API recording for a word, or null */
+async function dictionaryAudioUrl(word) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+  try {
+    const res = await fetch('https://api.dictionaryapi.dev/api/v2/entries/en/' + encodeURIComponent(word),
+      { signal: controller.signal });
+    if (!res.ok) return null;
+    const data = await res.json();
+    const phonetics = (Array.isArray(data) && data[0] && data[0].phonetics) || [];
+    const found = phonetics.find(p => p.audio && /^https:\/\//.test(p.audio));
+    return found ? found.audio : null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function fetchUpstream(word) {
+  const youdao = await fetchClip(`https://dict.youdao.com/dictvoice?audio=${encodeURIComponent(word)}&type=2`)
+    .catch(() => null);
+  if (youdao) return youdao;
+  const url = await dictionaryAudioUrl(word).catch(() => null);
+  return url ? fetchClip(url).catch(() => null) : null;
+}
+
+/** Clip for a word from memory, disk or upstream; null if nobody has one */
+async function loadClip(word) {
+  let clip = memory.get(word) || await readDisk(word);
+  if (!clip) {
+    clip = await fetchUpstream(word);
+    if (!clip) return null;
+    writeDisk(word, clip);
+  }
+  remember(word, clip);
+  return clip;
+}
+
+/* ── Handler ───────────────────────────────────────────────────────── */
+
+module.exports = withRateLimit('audio', async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const word = String((req.query && req.query.word) || '').trim().toLowerCase();
+  if (!WORD_RE.test(word)) return res.status(400).json({ error: 'Invalid word' });
+
+  try {
+    const clip = await loadClip(word);
+    if (!clip) {
+      res.setHeader('Cache-Control', 'public, max-age=3600');
+      return res.status(404).json({ error: 'No audio for this word' });
+    }
+    res.setHeader('Content-Type', clip.type);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, s-maxage=31536000, immutable');
+    res.setHeader('Accept-Ranges', 'bytes');
+    // Safari probes media with a byte range and gives up on a plain 200
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    const size = clip.body.length;
+    if (range && (range[1] || range[2])) {
+      const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+      const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+      if (start > end) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+      }
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+      res.setHeader('Content-Length', String(end - start + 1));
+      return res.status(206).end(clip.body.subarray(start, end + 1));
+    }
+    res.setHeader('Content-Length', String(size));
+    return res.status(200).end(clip.body);
+  } catch (err) {
+    console.error('[audio] Error:', err);
+    return res.status(502).json({ error: 'Audio unavailable' });
+  }
+});
@@ -1,6 +1,7 @@
 const crypto = require('crypto');
-const { queryOne, execute } = require('./db');
-const { createToken } = require('./token');
+const { queryOne, execute, deleteUser } = require('./db');
+const { withRateLimit } = require('./ratelimit');
+const { issueSession, rotateRefreshToken, revokeRefreshToken, revokeSessions, verifyToken, isPreRotationToken } = require('./token');
 
 /* ── Input validation ──────────────────────────────────────────────────── */
 
@@ -30,46 +31,15 @@ function verifyPassword(password, salt, storedHash) {
   return crypto.timingSafeEqual(a, b);
 }
 
-/* ── Rate limiting (in-memory sliding window per IP) ──────────────── */
-
-const _attempts = new Map();   // ip → [timestamp, ...]
-const RATE_WINDOW  = 15 * 60 * 1000; // 15 minutes
-const RATE_MAX     = 20;              // max attempts per window
-
-function isRateLimited(ip) {
-  const now = Date.now();
-  let hits = _attempts.get(ip) || [];
-  hits = hits.filter(t => now - t < RATE_WINDOW);
-  _attempts.set(ip, hits);
-  if (hits.length >= RATE_MAX) return true;
-  hits.push(now);
-  return false;
-}
-
-// Periodically clean old entries to prevent memory leak
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, hits] of _attempts) {
-    const fresh = hits.filter(t => now - t < RATE_WINDOW);
-    if (fresh.length === 0) _attempts.delete(ip);
-    else _attempts.set(ip, fresh);
-  }
-}, 5 * 60 * 1000);
-
 /* ── Handler ──────────────────────────────────────────────────────── */
 
-module.exports = async (req, res) => {
+module.exports = withRateLimit('auth', withRateLimit('refresh', async (req, res) => {
   if (req.method !== 'POST') {
     return res.status(405).json({ ok: false, message: 'Method not allowed' });
   }
 
   try {
-    const ip = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
-    if (isRateLimited(ip)) {
-      return res.status(429).json({ ok: false, message: 'Too many requests. Please try again later.' });
-    }
-
-    const { action, username, password, idToken } = req.body || {};
+    const { action, username, password, newPassword, idToken, token, refreshToken, confirm } = req.body || {};
     const u = normalizeUsername(username);
 
     // Health-check probe — does a real DB query to confirm backend is fully operational
@@ -94,7 +64,7 @@ module.exports = async (req, res) => {
       const { salt, hash } = hashPassword(password);
       await execute('INSERT INTO users (username, salt, hash, created_at) VALUES (?, ?, ?, ?)', [u, salt, hash, Date.now()]);
 
-      return res.status(200).json({ ok: true, message: 'Registered successfully.', user: { username: u }, token: await createToken(u) });
+      return res.status(200).json({ ok: true, message: 'Registered successfully.', user: { username: u }, ...(await issueSession(u)) });
     }
 
     if (action === 'login') {
@@ -107,7 +77,7 @@ module.exports = async (req, res) => {
         return res.status(401).json({ ok: false, message: 'Invalid credentials.' });
       }
 
-      return res.status(200).json({ ok: true, message: 'Login successful.', user: { username: u }, token: await createToken(u) });
+      return res.status(200).json({ ok: true, message: 'Login successful.', user: { username: u }, ...(await issueSession(u)) });
     }
 
     if (action === 'google') {
@@ -140,7 +110,7 @@ module.exports = async (req, res) => {
       if (existing) {
         return res.status(200).json({
           ok: true, message: 'Login successful.',
-          user: { username: existing.username }, token: await createToken(existing.username),
+          user: { username: existing.username }, ...(await issueSession(existing.username)),
         });
       }
 
@@ -163,10 +133,93 @@ module.exports = async (req, res) => {
       );
       return res.status(200).json({
         ok: true, message: 'Account created via Google.',
-        user: { username: candidate }, token: await createToken(candidate),
+        user: { username: candidate }, ...(await issueSession(candidate)),
       });
     }
 
+    // Renew the access token. Rotates the refresh token; clients from before
+    // refresh tokens send their old signed token instead and get their first
+    // session (verifyToken rejects the forgeable unsigned legacy format).
+    if (action === 'refresh') {
+      if (refreshToken) {
+        const rotated = await rotateRefreshToken(refreshToken);
+        if (!rotated) {
+          return res.status(401).json({ ok: false, message: 'Invalid or expired refresh token.' });
+        }
+        return res.status(200).json({ ok: true, user: { username: rotated.username }, ...rotated.session });
+      }
+      const me = isPreRotationToken(token) && await verifyToken(token);
+      if (!me) {
+        return res.status(401).json({ ok: false, message: 'Invalid or expired token.' });
+      }
+      return res.status(200).json({ ok: true, user: { username: me }, ...(await issueSession(me)) });
+    }
+
+    // End this device's session; its access token lapses within minutes
+    if (action === 'logout') {
+      await revokeRefreshToken(refreshToken);
+      return res.status(200).json({ ok: true, message: 'Logged out.' });
+    }
+
+    // ── Account management (signed-in user) ──────────────────────────
+    if (['account', 'changePassword', 'deleteAccount', 'logoutAll'].includes(action)) {
+      const me = await verifyToken(token);
+      const user = me && await queryOne('SELECT username, salt, hash, google_sub, created_at FROM users WHERE username = ?', [me]);
+      if (!user) {
+        return res.status(401).json({ ok: false, message: 'Invalid or expired token.' });
+      }
+      // Google-created accounts have no password until one is set
+      const hasPassword = !!user.hash;
+
+      if (action === 'account') {
+        return res.status(200).json({
+          ok: true,
+          user: { username: user.username, hasPassword, google: !!user.google_sub, createdAt: user.created_at },
+        });
+      }
+
+      // Change the password, or set a first one on a Google account. Other
+      // devices are signed out; this one gets a fresh token.
+      if (action === 'changePassword') {
+        if (!validatePassword(newPassword)) {
+          return res.status(400).json({ ok: false, message: 'Password must be 6–128 characters.' });
+        }
+        if (hasPassword && !verifyPassword(password || '', user.salt, user.hash)) {
+          return res.status(401).json({ ok: false, message: 'Current password is incorrect.' });
+        }
+        const { salt, hash } = hashPassword(newPassword);
+        await execute(
+          'UPDATE users SET salt = ?, hash = ?, token_version = token_version + 1 WHERE username = ?',
+          [salt, hash, user.username]
+        );
+        await revokeSessions(user.username);
+        return res.status(200).json({
+          ok: true, message: hasPassword ? 'Password changed.' : 'Password set.',
+          user: { username: user.username }, ...(await issueSession(user.username)),
+        });
+      }
+
+      // Delete the account and all cloud data. Password accounts confirm with
+      // the password, Google-only accounts by typing the username.
+      if (action === 'deleteAccount') {
+        const confirmed = hasPassword
+          ? verifyPassword(password || '', user.salt, user.hash)
+          : normalizeUsername(confirm) === user.username;
+        if (!confirmed) {
+          return res.status(401).json({ ok: false, message: hasPassword ? 'Current password is incorrect.' : 'Confirmation does not match.' });
+        }
+        await deleteUser(user.username);
+        return res.status(200).json({ ok: true, message: 'Account deleted.' });
+      }
+
+      // Revoke every token issued so far, including the caller's
+      if (action === 'logoutAll') {
+        await execute('UPDATE users SET token_version = token_version + 1 WHERE username = ?', [user.username]);
+        await revokeSessions(user.username);
+        return res.status(200).json({ ok: true, message: 'Logged out on all devices.' });
+      }
+    }
+
     return res.status(400).json({ ok: false, message: 'Unsupported action. Use register or login.' });
   } catch (err) {
     console.error('[auth] Error:', err);
@@ -175,4 +228,4 @@ module.exports = async (req, res) => {
       : 'Internal server error.';
     return res.status(500).json({ ok: false, message: msg });
   }
-};
+}));
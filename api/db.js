@@ -5,7 +5,10 @@
  *   - Production (Vercel): Set TURSO_DATABASE_URL + TURSO_AUTH_TOKEN env vars
  *   - Local dev:           Falls back to file:/tmp/vocabloop.db (writable on all platforms)
  *
- * Tables: config, users, sync_data
+ * Tables: config, users, sync_data (deck + global metadata), word_states,
+ *         review_events, reading_history, achievements, sync_revs,
+ *         refresh_tokens, rate_limits, dict_synsets, dict_senses, dict_forms,
+ *         schema_migrations (see MIGRATIONS below)
  */
 
 const path   = require('path');
@@ -48,35 +51,289 @@ function getClient() {
   return client;
 }
 
-let _initialized = false;
+/* ── Schema migrations ───────────────────────────────────────────────── */
 
-/** Ensure tables exist (runs once per cold start) */
+// Applied in order, once each, and recorded in schema_migrations. Shipped
+// migrations are never edited — schema changes are appended as a new version.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'base tables',
+    up: tx => tx.batch([
+      `CREATE TABLE IF NOT EXISTS config (
+        key   TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS users (
+        username   TEXT PRIMARY KEY COLLATE NOCASE,
+        salt       TEXT NOT NULL DEFAULT '',
+        hash       TEXT NOT NULL DEFAULT '',
+        created_at INTEGER NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS sync_data (
+        username   TEXT PRIMARY KEY,
+        data       TEXT NOT NULL DEFAULT '{}',
+        updated_at INTEGER NOT NULL,
+        FOREIGN KEY (username) REFERENCES users(username)
+      )`,
+    ]),
+  },
+  {
+    version: 2,
+    name: 'users.google_sub',
+    up: async tx => {
+      // Databases created before the migration runner may already have it
+      const cols = await tx.execute('PRAGMA table_info(users)');
+      if (!cols.rows.some(c => c.name === 'google_sub')) {
+        await tx.execute('ALTER TABLE users ADD COLUMN google_sub TEXT');
+      }
+    },
+  },
+  {
+    version: 3,
+    name: 'word states and sync revisions',
+    up: tx => tx.batch([
+      // One row per studied word; `rev` is the user's sync revision that last changed it
+      `CREATE TABLE IF NOT EXISTS word_states (
+        username TEXT NOT NULL,
+        deck     TEXT NOT NULL,
+        word     TEXT NOT NULL,
+        data     TEXT NOT NULL,
+        mtime    INTEGER NOT NULL DEFAULT 0,
+        rev      INTEGER NOT NULL,
+        PRIMARY KEY (username, deck, word)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_word_states_rev ON word_states (username, rev)',
+      // Per-user sync revision counter, bumped once per accepted push / merge
+      `CREATE TABLE IF NOT EXISTS sync_revs (
+        username TEXT PRIMARY KEY,
+        rev      INTEGER NOT NULL DEFAULT 0
+      )`,
+    ]),
+  },
+  {
+    version: 4,
+    name: 'review events, reading history, achievements',
+    up: tx => tx.batch([
+      // Append-only answer log; the key columns are copied out of `data` for queries
+      `CREATE TABLE IF NOT EXISTS review_events (
+        username TEXT    NOT NULL,
+        ts       INTEGER NOT NULL,
+        deck     TEXT    NOT NULL DEFAULT '',
+        word     TEXT    NOT NULL,
+        source   TEXT    NOT NULL DEFAULT '',
+        rating   TEXT,
+        data     TEXT    NOT NULL,
+        rev      INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (username, ts, deck, word, source)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_review_events_rev ON review_events (username, rev)',
+      'CREATE INDEX IF NOT EXISTS idx_review_events_word ON review_events (username, deck, word)',
+      `CREATE TABLE IF NOT EXISTS reading_history (
+        username TEXT    NOT NULL,
+        id       INTEGER NOT NULL,
+        data     TEXT    NOT NULL,
+        rev      INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (username, id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_reading_history_rev ON reading_history (username, rev)',
+      `CREATE TABLE IF NOT EXISTS achievements (
+        username    TEXT    NOT NULL,
+        achievement TEXT    NOT NULL,
+        unlocked_at INTEGER NOT NULL,
+        PRIMARY KEY (username, achievement)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_achievements_id ON achievements (achievement)',
+    ]),
+  },
+  {
+    version: 5,
+    name: 'explode sync_data blobs into rows',
+    up: explodeSyncBlobs,
+  },
+  {
+    version: 6,
+    name: 'users.token_version',
+    // Bumped to revoke every token issued so far (password change, log out everywhere)
+    up: tx => tx.execute('ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0'),
+  },
+  {
+    version: 7,
+    name: 'refresh tokens',
+    up: tx => tx.batch([
+      // `id` is the SHA-256 of the token; a family is one login's chain of rotations
+      `CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id         TEXT PRIMARY KEY,
+        username   TEXT    NOT NULL,
+        family     TEXT    NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        used_at    INTEGER
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family)',
+      'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (username)',
+    ]),
+  },
+  {
+    version: 8,
+    name: 'rate limit counters',
+    // One fixed-window counter per bucket ("route:ip:…" / "route:user:…"), see api/ratelimit.js
+    up: tx => tx.execute(`CREATE TABLE IF NOT EXISTS rate_limits (
+      bucket       TEXT    NOT NULL,
+      window_start INTEGER NOT NULL,
+      count        INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (bucket, window_start)
+    )`),
+  },
+  {
+    version: 9,
+    name: 'dictionary',
+    // Filled by scripts/import-dict.js from WordNet, read by api/dict.js
+    up: tx => tx.batch([
+      `CREATE TABLE IF NOT EXISTS dict_synsets (
+        id         TEXT PRIMARY KEY,
+        pos        TEXT NOT NULL,
+        definition TEXT NOT NULL,
+        examples   TEXT NOT NULL DEFAULT '[]',
+        words      TEXT NOT NULL DEFAULT '[]'
+      )`,
+      // One row per (lemma, meaning); `sense` orders a lemma's meanings, most common first
+      `CREATE TABLE IF NOT EXISTS dict_senses (
+        lemma    TEXT    NOT NULL,
+        sense    INTEGER NOT NULL,
+        synset   TEXT    NOT NULL,
+        antonyms TEXT,
+        PRIMARY KEY (lemma, sense)
+      )`,
+      // Irregular inflections (went → go); regular ones are undone at lookup time
+      `CREATE TABLE IF NOT EXISTS dict_forms (
+        form  TEXT NOT NULL,
+        lemma TEXT NOT NULL,
+        PRIMARY KEY (form, lemma)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_dict_forms_lemma ON dict_forms (lemma)',
+    ]),
+  },
+];
+
+// Every table holding per-user rows, children before `users`
+const USER_TABLES = ['refresh_tokens', 'word_states', 'review_events', 'reading_history', 'achievements', 'sync_revs', 'sync_data', 'users'];
+
+/**
+ * Move word states, review events, reading history and achievements out of
+ * every user's sync_data blob into their tables, leaving only deck and global
+ * metadata in the blob. Rows keep the user's current revision (at least 1) so
+ * clients that already hold the data do not pull it again.
+ */
+async function explodeSyncBlobs(tx) {
+  const blobs = await tx.execute(
+    'SELECT s.username, s.data, COALESCE(r.rev, 0) AS rev FROM sync_data s LEFT JOIN sync_revs r ON r.username = s.username'
+  );
+  for (const row of blobs.rows) {
+    let data;
+    try { data = JSON.parse(row.data); } catch (_) { continue; }
+    const { username } = row;
+    const rev = Math.max(1, Number(row.rev));
+    const now = Date.now();
+    const statements = rowStatements(username, data, rev, now);
+    statements.push({ sql: 'INSERT OR IGNORE INTO sync_revs (username, rev) VALUES (?, ?)', args: [username, rev] });
+    for (const meta of Object.values(data.decks || {})) {
+      if (meta && typeof meta === 'object') delete meta.state;
+    }
+    delete data.reviewLog;
+    delete data.readingHistory;
+    if (data.global) delete data.global.achievements;
+    statements.push({ sql: 'UPDATE sync_data SET data = ? WHERE username = ?', args: [JSON.stringify(data), username] });
+    await tx.batch(statements);
+  }
+}
+
+/**
+ * Insert statements for the row-backed parts of a sync payload. Words only
+ * replace an existing row when their clock is newer; events, reading entries
+ * and achievements are append-only and ignore duplicates.
+ */
+function rowStatements(username, data, rev, now) {
+  const statements = [];
+  for (const [deck, meta] of Object.entries((data && data.decks) || {})) {
+    for (const [word, s] of Object.entries((meta && meta.state) || {})) {
+      if (!s || typeof s !== 'object') continue;
+      statements.push({
+        sql: 'INSERT INTO word_states (username, deck, word, data, mtime, rev) VALUES (?, ?, ?, ?, ?, ?) '
+          + 'ON CONFLICT(username, deck, word) DO UPDATE SET data = excluded.data, mtime = excluded.mtime, rev = excluded.rev '
+          + 'WHERE excluded.mtime > word_states.mtime',
+        args: [username, deck, word, JSON.stringify(s), s.mtime || s.lastReview || 0, rev],
+      });
+    }
+  }
+  for (const e of (data && Array.isArray(data.reviewLog)) ? data.reviewLog : []) {
+    if (!e || typeof e !== 'object' || !e.ts || !e.word) continue;
+    const { rev: _rev, ...event } = e;
+    statements.push({
+      sql: 'INSERT OR IGNORE INTO review_events (username, ts, deck, word, source, rating, data, rev) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      args: [username, e.ts, e.deck || '', e.word, e.source || '', e.rating || null, JSON.stringify(event), rev],
+    });
+  }
+  for (const e of (data && Array.isArray(data.readingHistory)) ? data.readingHistory : []) {
+    if (!e || typeof e !== 'object' || !e.id) continue;
+    const { rev: _rev, ...entry } = e;
+    statements.push({
+      sql: 'INSERT OR IGNORE INTO reading_history (username, id, data, rev) VALUES (?, ?, ?, ?)',
+      args: [username, e.id, JSON.stringify(entry), rev],
+    });
+  }
+  for (const id of (data && data.global && Array.isArray(data.global.achievements)) ? data.global.achievements : []) {
+    if (typeof id !== 'string' || !id) continue;
+    statements.push({
+      sql: 'INSERT OR IGNORE INTO achievements (username, achievement, unlocked_at) VALUES (?, ?, ?)',
+      args: [username, id, now],
+    });
+  }
+  return statements;
+}
+
+/** Apply pending migrations, each in its own write transaction. */
+async function migrate() {
+  const db = getClient();
+  await db.execute(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version    INTEGER PRIMARY KEY,
+    name       TEXT NOT NULL,
+    applied_at INTEGER NOT NULL
+  )`);
+  const done = await db.execute('SELECT version FROM schema_migrations');
+  const applied = new Set(done.rows.map(r => Number(r.version)));
+  for (const m of MIGRATIONS) {
+    if (applied.has(m.version)) continue;
+    const tx = await db.transaction('write');
+    try {
+      // Re-check under the write lock — another cold start may have just run it
+      const again = await tx.execute({ sql: 'SELECT 1 FROM schema_migrations WHERE version = ?', args: [m.version] });
+      if (!again.rows.length) {
+        await m.up(tx);
+        await tx.execute({
+          sql: 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          args: [m.version, m.name, Date.now()],
+        });
+      }
+      await tx.commit();
+    } catch (err) {
+      await tx.rollback().catch(() => {});
+      console.error(`[db] Migration ${m.version} (${m.name}) failed:`, err.message);
+      throw err;
+    } finally {
+      tx.close();
+    }
+  }
+}
+
+let _initialized = null;
+
+/** Ensure the schema is current (runs once per cold start) */
 async function initDb() {
-  if (_initialized) return;
-  await getClient().batch([
-    `CREATE TABLE IF NOT EXISTS config (
-      key   TEXT PRIMARY KEY,
-      value TEXT NOT NULL
-    )`,
-    `CREATE TABLE IF NOT EXISTS users (
-      username   TEXT PRIMARY KEY COLLATE NOCASE,
-      salt       TEXT NOT NULL DEFAULT '',
-      hash       TEXT NOT NULL DEFAULT '',
-      google_sub TEXT,
-      created_at INTEGER NOT NULL
-    )`,
-    `CREATE TABLE IF NOT EXISTS sync_data (
-      username   TEXT PRIMARY KEY,
-      data       TEXT NOT NULL DEFAULT '{}',
-      updated_at INTEGER NOT NULL,
-      FOREIGN KEY (username) REFERENCES users(username)
-    )`,
-  ], 'write');
-  // Migration: add google_sub to existing databases (no-op if already present)
-  try {
-    await getClient().execute('ALTER TABLE users ADD COLUMN google_sub TEXT');
-  } catch (_) { /* column already exists — ignore */ }
-  _initialized = true;
+  if (!_initialized) {
+    _initialized = migrate().catch(err => { _initialized = null; throw err; });
+  }
+  return _initialized;
 }
 
 /** Execute a read query — returns first row or null */
@@ -92,6 +349,35 @@ async function execute(sql, args = []) {
   return getClient().execute({ sql, args });
 }
 
+/** Run several statements in one round trip; 'read' batches see a consistent snapshot */
+async function batch(statements, mode = 'read') {
+  await initDb();
+  return getClient().batch(statements, mode);
+}
+
+/** Run fn(tx) inside a write transaction — committed on success, rolled back on error */
+async function transaction(fn) {
+  await initDb();
+  const tx = await getClient().transaction('write');
+  try {
+    const result = await fn(tx);
+    await tx.commit();
+    return result;
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    throw err;
+  } finally {
+    tx.close();
+  }
+}
+
+/** Delete a user and all of their cloud data in one transaction */
+async function deleteUser(username) {
+  return transaction(tx => tx.batch(
+    USER_TABLES.map(table => ({ sql: `DELETE FROM ${table} WHERE username = ?`, args: [username] }))
+  ));
+}
+
 /** Get or create the HMAC signing secret */
 async function getSecret() {
   const row = await queryOne('SELECT value FROM config WHERE key = ?', ['token_secret']);
@@ -101,4 +387,4 @@ async function getSecret() {
   return secret;
 }
 
-module.exports = { queryOne, execute, getSecret };
+module.exports = { queryOne, execute, batch, transaction, rowStatements, deleteUser, getSecret };
@@ -0,0 +1,79 @@
+/**
+ * api/decks.js — Registry of the built-in decks
+ *
+ * Decks are registered once in data/decks.json ({ id, file, icon, name: { en, zh },
+ * version }); adding a deck means dropping its JSON into data/ and adding one
+ * entry there. GET returns the manifest with each deck's word count and a
+ * content hash of its file, so clients can show totals and notice edited decks
+ * without downloading them. An optional `disjointFrom: [ids]` is only read by
+ * scripts/validate-decks.js, which fails if the deck shares headwords with those.
+ *
+ * Request:  GET
+ * Response: { decks: [{ id, name: { en, zh }, icon, file, count, version, hash }] }
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT, 'data', 'decks.json');
+
+/** Manifest entries, checked for the fields every client relies on */
+async function readManifest() {
+  const manifest = JSON.parse(await fs.readFile(MANIFEST_FILE, 'utf8'));
+  const decks = Array.isArray(manifest.decks) ? manifest.decks : [];
+  const seen = new Set();
+  for (const d of decks) {
+    if (!d || typeof d.id !== 'string' || !/^[a-z0-9-]+$/.test(d.id)) {
+      throw new Error(`Invalid deck id in data/decks.json: ${JSON.stringify(d && d.id)}`);
+    }
+    if (seen.has(d.id)) throw new Error(`Duplicate deck id in data/decks.json: ${d.id}`);
+    if (typeof d.file !== 'string' || !d.file.startsWith('data/')) {
+      throw new Error(`Deck ${d.id}: file must be a path under data/`);
+    }
+    seen.add(d.id);
+  }
+  return decks;
+}
+
+// Deck files ship with the deployment, so the registry is built once per instance
+let registry = null;
+
+/** Manifest entries with word count and content hash */
+function loadDecks() {
+  if (!registry) {
+    registry = readManifest().then(decks => Promise.all(decks.map(async d => {
+      const raw = await fs.readFile(path.join(ROOT, d.file));
+      const words = JSON.parse(raw);
+      return {
+        id:      d.id,
+        name:    { en: (d.name && d.name.en) || d.id, zh: (d.name && (d.name.zh || d.name.en)) || d.id },
+        icon:    d.icon || '📘',
+        file:    d.file,
+        count:   Array.isArray(words) ? words.length : 0,
+        version: d.version || 1,
+        hash:    crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16),
+      };
+    })));
+    registry.catch(() => { registry = null; });
+  }
+  return registry;
+}
+
+/* ── Handler ───────────────────────────────────────────────────────── */
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const decks = await loadDecks();
+    res.setHeader('Cache-Control', 'public, max-age=300, stale-while-revalidate=86400');
+    return res.status(200).json({ decks });
+  } catch (err) {
+    console.error('[decks] Error:', err);
+    return res.status(500).json({ error: 'Deck registry unavailable' });
+  }
+};
+module.exports.loadDecks    = loadDecks;
+module.exports.readManifest = readManifest;
@@ -0,0 +1,145 @@
+/**
+ * api/dict.js — English dictionary lookup for VocabLoop
+ *
+ * Answers from the WordNet tables that scripts/import-dict.js loads into the
+ * database, so definitions need no third-party API. Phrases ("give up") are
+ * looked up like words, and inflected forms resolve to their lemma: irregular
+ * ones through dict_forms (went → go), regular ones by WordNet's suffix rules
+ * (studies → study, bigger → big), for a phrase on its first or last word
+ * (gave up → give up). A leading "to" or article and a trailing preposition
+ * are dropped when the full phrase is missing (look forward to → look forward).
+ *
+ * Rate limited per IP (see ratelimit.js).
+ *
+ * Request:  GET ?word=<word or phrase>
+ * Response: { word, lemma, senses: [{ pos, definition, examples, synonyms, antonyms }], forms }
+ *           senses most common first; forms are the lemma's irregular inflections.
+ *           404 when nothing matches, 503 until the dictionary is imported.
+ */
+
+const { batch, queryOne } = require('./db');
+const { withRateLimit } = require('./ratelimit');
+
+const MAX_LENGTH = 64;
+const MAX_SENSES = 20;
+const POS_NAMES = { n: 'noun', v: 'verb', a: 'adjective', r: 'adverb' };
+
+// WordNet's detachment rules (morphy): suffix → replacement, tried for every part of speech
+const SUFFIX_RULES = [
+  ['s', ''], ['ses', 's'], ['xes', 'x'], ['zes', 'z'], ['ches', 'ch'], ['shes', 'sh'], ['men', 'man'], ['ies', 'y'],
+  ['es', 'e'], ['es', ''], ['ed', 'e'], ['ed', ''], ['ing', 'e'], ['ing', ''],
+  ['er', ''], ['est', ''], ['er', 'e'], ['est', 'e'],
+];
+const LEADING_WORDS = /^(to|a|an|the) /;
+const TRAILING_WORDS = / (to|of|for|with|on|in|at|about|from|into|sth|sb|something|someone|somebody)$/;  // look forward to → look forward
+
+/** Lower case, straight apostrophes, single spaces, no surrounding punctuation */
+function normalise(q) {
+  return String(q || '').toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ')
+    .trim().replace(/^[^a-z0-9]+|[^a-z0-9.]+$/g, '');
+}
+
+/** Possible base forms of a single word by suffix rules, including undoubled consonants (running → run) */
+function stems(word) {
+  const out = [];
+  for (const [suffix, repl] of SUFFIX_RULES) {
+    if (word.length <= suffix.length + 1 || !word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length) + repl;
+    out.push(stem);
+    if (!repl && /([b-df-hj-np-tv-z])\1$/.test(stem)) out.push(stem.slice(0, -1));
+  }
+  return out;
+}
+
+/** Irregular forms → lemmas for the given forms, one round trip */
+async function irregular(forms) {
+  const rows = await batch([{
+    sql: `SELECT form, lemma FROM dict_forms WHERE form IN (${forms.map(() => '?').join(', ')})`,
+    args: forms,
+  }]);
+  const map = new Map();
+  for (const r of rows[0].rows) {
+    if (!map.has(r.form)) map.set(r.form, []);
+    map.get(r.form).push(r.lemma);
+  }
+  return map;
+}
+
+/** Lookup keys for q in order of preference: as typed, then lemmas of its first or last word */
+async function candidates(q) {
+  const bases = [q];
+  if (LEADING_WORDS.test(q)) bases.push(q.replace(LEADING_WORDS, ''));
+  for (const b of [...bases]) if (TRAILING_WORDS.test(b)) bases.push(b.replace(TRAILING_WORDS, ''));
+  const out = [...bases];
+  const edges = [];
+  for (const b of bases) {
+    const parts = b.split(' ');
+    edges.push([parts, 0]);
+    if (parts.length > 1) edges.push([parts, parts.length - 1]);
+  }
+  const known = await irregular([...new Set(edges.map(([parts, i]) => parts[i]))]);
+  for (const [parts, i] of edges) {
+    for (const base of [...(known.get(parts[i]) || []), ...stems(parts[i])]) {
+      out.push([...parts.slice(0, i), base, ...parts.slice(i + 1)].join(' '));
+    }
+  }
+  return [...new Set(out)];
+}
+
+let loadedAt = 0;
+
+/** Whether the import has finished (rechecked every few minutes, so a re-import is noticed) */
+async function dictLoaded() {
+  if (Date.now() - loadedAt < 5 * 60 * 1000) return true;
+  const row = await queryOne('SELECT value FROM config WHERE key = ?', ['dict_source']);
+  if (row) loadedAt = Date.now();
+  return !!row;
+}
+
+/** Dictionary entry for q, or null */
+async function lookup(q) {
+  const keys = await candidates(q);
+  const marks = keys.map(() => '?').join(', ');
+  const [senseRes, formRes] = await batch([
+    {
+      sql: 'SELECT d.lemma, d.antonyms, s.pos, s.definition, s.examples, s.words '
+        + `FROM dict_senses d JOIN dict_synsets s ON s.id = d.synset WHERE d.lemma IN (${marks}) ORDER BY d.sense`,
+      args: keys,
+    },
+    { sql: `SELECT lemma, form FROM dict_forms WHERE lemma IN (${marks}) ORDER BY form`, args: keys },
+  ]);
+  const lemma = keys.find(k => senseRes.rows.some(r => r.lemma === k));
+  if (!lemma) return null;
+  const senses = senseRes.rows.filter(r => r.lemma === lemma).slice(0, MAX_SENSES).map(r => ({
+    pos:        POS_NAMES[r.pos] || r.pos,
+    definition: r.definition,
+    examples:   JSON.parse(r.examples),
+    synonyms:   JSON.parse(r.words).filter(w => w.toLowerCase() !== lemma),
+    antonyms:   r.antonyms ? JSON.parse(r.antonyms) : [],
+  }));
+  const forms = formRes.rows.filter(r => r.lemma === lemma).map(r => r.form);
+  return { word: q, lemma, senses, forms };
+}
+
+/* ── Handler ───────────────────────────────────────────────────────── */
+
+module.exports = withRateLimit('dict', async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const q = normalise(req.query && req.query.word);
+  if (!q || q.length > MAX_LENGTH) return res.status(400).json({ error: 'Invalid word' });
+
+  try {
+    if (!(await dictLoaded())) return res.status(503).json({ error: 'Dictionary not loaded' });
+    const entry = await lookup(q);
+    res.setHeader('Cache-Control', 'public, max-age=86400, s-maxage=604800');
+    if (!entry) return res.status(404).json({ error: 'Not found' });
+    return res.status(200).json(entry);
+  } catch (err) {
+    console.error('[dict] Error:', err);
+    return res.status(500).json({ error: 'Dictionary unavailable' });
+  }
+});
+
+module.exports.normalise = normalise;
+module.exports.lookup    = lookup;
@@ -4,15 +4,19 @@
  * Accepts the user's aggregated study stats, calls Gemini, and returns
  * a personalised summary + actionable study suggestions.
  *
+ * Rate limited per IP and, with a valid `token`, per user (see ratelimit.js).
+ *
  * Env: GEMINI_API_KEY
  *
- * Request:  POST { lang, studied, mastered, total, streak, reviewedTotal,
+ * Request:  POST { token?, lang, studied, mastered, total, streak, reviewedTotal,
  *                  decks:[{name,total,studied,mastered}],
  *                  stages:{new,learning,review,mastered},
  *                  difficultWords:[{word,againCount}] }
  * Response: { summary: "...", suggestions: ["...", ...] }
  */
 
+const { withRateLimit } = require('./ratelimit');
+
 function buildPrompt(d) {
   const isZh = d.lang === 'zh';
 
@@ -134,7 +138,7 @@ Return ONLY this JSON (no markdown, no extra text):
 }`;
 }
 
-module.exports = async function handler(req, res) {
+module.exports = withRateLimit('insight', async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
@@ -200,4 +204,4 @@ module.exports = async function handler(req, res) {
     if (e.name === 'AbortError') return res.status(504).json({ error: 'timeout' });
     return res.status(500).json({ error: 'Internal error' });
   }
-};
+});
@@ -0,0 +1,167 @@
+/**
+ * api/ratelimit.js — Rate limiting shared by every API route
+ *
+ * Wrap a handler with `withRateLimit(route, handler)`. Each POST (or each
+ * request whose method is in the route's `methods`) counts against a per-IP
+ * bucket and, when it carries a valid access token, a per-user bucket; the
+ * limits for each route are in ROUTE_LIMITS and can be
+ * overridden with the RATE_LIMITS env var (JSON, merged per route/bucket):
+ *
+ *   RATE_LIMITS='{"reading":{"user":{"max":50}}}'
+ *
+ * Counters are fixed windows kept in the `rate_limits` table, so they survive
+ * cold starts and are shared by all instances. `setStore()` swaps in another
+ * store (e.g. memoryStore() for local experiments). Limited requests get a 429
+ * with a Retry-After header (seconds).
+ *
+ * The client IP comes from headers set by the platform proxy, never from the
+ * spoofable left end of X-Forwarded-For.
+ */
+
+const { execute, batch } = require('./db');
+const { verifyToken } = require('./token');
+
+const MINUTE = 60 * 1000;
+
+const ROUTE_LIMITS = {
+  // ping runs on every page load for backend detection — not an auth attempt — and
+  // refresh renews 15-minute access tokens, so it gets its own bucket (below)
+  auth:    { ip: { max: 20, windowMs: 15 * MINUTE }, skip: body => body.action === 'ping' || body.action === 'refresh' },
+  // every signed-in tab refreshes about 4 times an hour; a household shares one IP
+  refresh: { ip: { max: 600, windowMs: 15 * MINUTE }, skip: body => body.action !== 'refresh' },
+  sync:    { ip: { max: 300, windowMs: 15 * MINUTE }, user: { max: 150, windowMs: 15 * MINUTE } },
+  reading: { ip: { max: 30, windowMs: 60 * MINUTE }, user: { max: 20, windowMs: 60 * MINUTE } },
+  insight: { ip: { max: 20, windowMs: 60 * MINUTE }, user: { max: 10, windowMs: 60 * MINUTE } },
+  // a deck's audio pack is one request per word
+  audio:   { methods: ['GET'], ip: { max: 2000, windowMs: 15 * MINUTE } },
+  dict:    { methods: ['GET'], ip: { max: 600, windowMs: 15 * MINUTE } },
+};
+
+/** Route limits with RATE_LIMITS env overrides applied */
+function limitsFor(route) {
+  const base = ROUTE_LIMITS[route] || {};
+  let overrides = {};
+  try { overrides = JSON.parse(process.env.RATE_LIMITS || '{}')[route] || {}; } catch (_) {
+    console.error('[ratelimit] RATE_LIMITS is not valid JSON — using defaults');
+  }
+  const merged = { ...base };
+  for (const bucket of ['ip', 'user']) {
+    if (base[bucket] || overrides[bucket]) merged[bucket] = { ...base[bucket], ...overrides[bucket] };
+  }
+  return merged;
+}
+
+/* ── Stores ──────────────────────────────────────────────────────────── */
+
+/**
+ * Database store: one row per (bucket key, window). `hit` increments and
+ * returns the count for the current window.
+ */
+function dbStore() {
+  return {
+    async hit(key, windowStart) {
+      const [res] = await batch([{
+        sql: 'INSERT INTO rate_limits (bucket, window_start, count) VALUES (?, ?, 1) '
+          + 'ON CONFLICT(bucket, window_start) DO UPDATE SET count = count + 1 RETURNING count',
+        args: [key, windowStart],
+      }], 'write');
+      return Number(res.rows[0].count);
+    },
+    async prune(before) {
+      await execute('DELETE FROM rate_limits WHERE window_start < ?', [before]);
+    },
+  };
+}
+
+/** In-process store — resets on restart; for tests and single-process dev */
+function memoryStore() {
+  const counts = new Map();
+  return {
+    async hit(key, windowStart) {
+      const k = key + '@' + windowStart;
+      const n = (counts.get(k) || 0) + 1;
+      counts.set(k, n);
+      return n;
+    },
+    async prune(before) {
+      for (const k of counts.keys()) {
+        if (Number(k.slice(k.lastIndexOf('@') + 1)) < before) counts.delete(k);
+      }
+    },
+  };
+}
+
+let store = dbStore();
+
+/** Replace the counter store (anything with async hit(key, windowStart) and prune(before)) */
+function setStore(next) { store = next; }
+
+/* ── Request identity ────────────────────────────────────────────────── */
+
+/**
+ * Client IP as seen by the platform. Vercel sets x-vercel-forwarded-for /
+ * x-real-ip itself; behind another proxy set TRUST_PROXY=1 to use the last
+ * X-Forwarded-For hop (the one that proxy appended).
+ */
+function clientIp(req) {
+  const h = req.headers || {};
+  if (process.env.VERCEL) {
+    const ip = h['x-vercel-forwarded-for'] || h['x-real-ip'];
+    if (ip) return String(ip).split(',')[0].trim();
+  }
+  if (process.env.TRUST_PROXY && h['x-forwarded-for']) {
+    const hops = String(h['x-forwarded-for']).split(',');
+    return hops[hops.length - 1].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/* ── Middleware ──────────────────────────────────────────────────────── */
+
+/** Count one request against a bucket; returns seconds to wait, or 0 */
+async function consume(key, { max, windowMs }) {
+  const now = Date.now();
+  const windowStart = now - (now % windowMs);
+  const count = await store.hit(key, windowStart);
+  // Occasionally drop windows older than a day so the table stays small
+  if (Math.random() < 0.01) store.prune(now - 24 * 60 * MINUTE).catch(() => {});
+  return count > max ? Math.ceil((windowStart + windowMs - now) / 1000) : 0;
+}
+
+/**
+ * Wrap a (req, res) handler with the limits of `route`. The limiter fails
+ * open: if the store is unreachable the request goes through and the error
+ * is logged.
+ */
+function withRateLimit(route, handler) {
+  return async (req, res) => {
+    const limits = limitsFor(route);
+    if (!(limits.methods || ['POST']).includes(req.method)) return handler(req, res);
+    const body = req.body || {};
+    if (limits.skip && limits.skip(body)) return handler(req, res);
+
+    let retryAfter = 0;
+    try {
+      if (limits.ip) {
+        retryAfter = Math.max(retryAfter, await consume(`${route}:ip:${clientIp(req)}`, limits.ip));
+      }
+      if (limits.user && body.token) {
+        const username = (await verifyToken(body.token)) || (await verifyToken(body.token, 'push'));
+        if (username) retryAfter = Math.max(retryAfter, await consume(`${route}:user:${username}`, limits.user));
+      }
+    } catch (err) {
+      console.error(`[ratelimit] ${route}: store unavailable, not limiting:`, err.message);
+    }
+
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        ok: false, error: 'rate_limited', retryAfter,
+        message: 'Too many requests. Please try again later.',
+      });
+    }
+    return handler(req, res);
+  };
+}
+
+module.exports = { withRateLimit, clientIp, setStore, memoryStore, dbStore, ROUTE_LIMITS };
@@ -4,12 +4,16 @@
  * Client sends a word list; server builds the prompt, calls Gemini,
  * and returns the story text + sentence-level bilingual translations.
  *
+ * Rate limited per IP and, with a valid `token`, per user (see ratelimit.js).
+ *
  * Env: GEMINI_API_KEY — Google Gemini API key
  *
- * Request:  POST { words: [{ word: "accept", zh: "接受" }, ...] }
+ * Request:  POST { words: [{ word: "accept", zh: "接受" }, ...], token? }
  * Response: { text: "Full story...", sentences: [{ en: "...", zh: "..." }] }
  */
 
+const { withRateLimit } = require('./ratelimit');
+
 /* ── Prompt template (server-only) ─────────────────────────────────── */
 
 function buildPrompt(words) {
@@ -198,7 +202,7 @@ function parseResponse(raw) {
 
 /* ── Handler ───────────────────────────────────────────────────────── */
 
-module.exports = async function handler(req, res) {
+module.exports = withRateLimit('reading', async function handler(req, res) {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -289,4 +293,4 @@ module.exports = async function handler(req, res) {
     }
     return res.status(500).json({ error: 'Internal error' });
   }
-};
+});
@@ -2,19 +2,82 @@
  * api/sync.js — Cloud sync endpoint for VocabLoop learning data
  *
  * Actions:
- *   push  — Upload local learning data to cloud (overwrites cloud copy)
- *   pull  — Download cloud data to client
+ *   push  — Upload local learning data, full or delta (merged into the cloud copy)
+ *   pull  — Download cloud data; with `since`, only words changed after that rev
  *   merge — Two-way merge: client sends local data, server merges and returns result
  *
- * Auth: HMAC-signed token (see token.js)
+ * Merge rules: each word keeps the copy with the later `mtime` clock; points and
+ * totalReviewed are per-device grow-only counters summed across devices; review
+ * logs are unioned; each user-created deck (`customDecks`, word list included)
+ * keeps the copy with the later `mtime`, deletions travelling as tombstones.
+ *
+ * Layout: word states, review events, reading history and achievements are
+ * stored as rows (see api/db.js), each tagged with the per-user revision
+ * (`sync_revs`) that last changed it; deck and global metadata and custom deck
+ * definitions stay in the `sync_data` blob. Every push/merge bumps the revision and returns it, so
+ * clients send only what changed since their last push and pull only rows with
+ * a later revision.
+ *
+ * Auth: HMAC-signed access token (see token.js); push also takes the push-only
+ * token the service worker uploads the offline outbox with
  * Storage: Turso (libSQL) via api/db.js
  */
 
-const { queryOne, execute } = require('./db');
+const { queryOne, batch, transaction, rowStatements } = require('./db');
 const { verifyToken } = require('./token');
+const { withRateLimit } = require('./ratelimit');
 
 /* ── Merge helpers ─────────────────────────────────────────────────── */
 
+/**
+ * Last-modified clock of a word state. Clients stamp `mtime` on every change;
+ * older data falls back to the last review time.
+ */
+function wordClock(s) {
+  return (s && (s.mtime || s.lastReview)) || 0;
+}
+
+/**
+ * Pick the surviving copy of one word. The later clock wins, so a lapse made on
+ * one device beats a stale long interval from another. Legacy copies without
+ * any clock keep the old rule (later `next`).
+ */
+function pickWordState(l, c) {
+  if (!l) return c;
+  if (!c) return l;
+  const lc = wordClock(l);
+  const cc = wordClock(c);
+  if (lc !== cc) return lc > cc ? l : c;
+  return (l.next || 0) >= (c.next || 0) ? l : c;
+}
+
+/**
+ * Merge grow-only per-device counters ({ deviceId: n }): each device only ever
+ * increments its own slot, so max per slot never loses an increment and the
+ * total is the sum. A bare legacy number becomes the shared `_base` slot.
+ */
+function mergeCounters(local, cloud, localTotal, cloudTotal) {
+  const l = local || { _base: localTotal || 0 };
+  const c = cloud || { _base: cloudTotal || 0 };
+  const merged = {};
+  for (const key of new Set([...Object.keys(l), ...Object.keys(c)])) {
+    merged[key] = Math.max(l[key] || 0, c[key] || 0);
+  }
+  return merged;
+}
+
+/** Sum of a counter map. */
+function counterTotal(counters) {
+  return Object.values(counters || {}).reduce((sum, n) => sum + (n || 0), 0);
+}
+
+/** The newer of two learner levels ({ theta, mtime }); a cleared level is { theta: null, mtime }. */
+function pickLearnerLevel(local, cloud) {
+  if (!local) return cloud || null;
+  if (!cloud) return local;
+  return (cloud.mtime || 0) > (local.mtime || 0) ? cloud : local;
+}
+
 /** Merge two SRS deck state objects at the per-word level. */
 function mergeWordStates(local, cloud) {
   if (!local) return cloud || {};
@@ -23,20 +86,23 @@ function mergeWordStates(local, cloud) {
   const localState = local.state || {};
   const cloudState = cloud.state || {};
   const merged = {};
+  let lLatest = 0;
+  let cLatest = 0;
 
   const allWords = new Set([...Object.keys(localState), ...Object.keys(cloudState)]);
   for (const word of allWords) {
-    const l = localState[word];
-    const c = cloudState[word];
-    if (!l) { merged[word] = c; continue; }
-    if (!c) { merged[word] = l; continue; }
-    merged[word] = (l.next || 0) >= (c.next || 0) ? l : c;
+    merged[word] = pickWordState(localState[word], cloudState[word]);
+    lLatest = Math.max(lLatest, wordClock(localState[word]));
+    cLatest = Math.max(cLatest, wordClock(cloudState[word]));
   }
 
+  const pointsBy = mergeCounters(local.pointsBy, cloud.pointsBy, local.points, cloud.points);
   return {
     state:    merged,
-    points:   Math.max(local.points || 0, cloud.points || 0),
-    streak:   Math.max(local.streak || 0, cloud.streak || 0),
+    points:   counterTotal(pointsBy),
+    pointsBy,
+    // The answer streak is a running value — take it from whichever side studied last
+    streak:   (lLatest >= cLatest ? local.streak : cloud.streak) || 0,
     autoPlay: local.autoPlay !== undefined ? local.autoPlay : cloud.autoPlay,
   };
 }
@@ -61,19 +127,78 @@ function mergeGlobal(local, cloud) {
     lastRoundDate = cDate;
   }
 
+  // The daily streak belongs with its study date — a stale long streak must not win
+  const lStudy = local.lastStudyDate || '';
+  const cStudy = cloud.lastStudyDate || '';
+  const dailyStreak = lStudy === cStudy
+    ? Math.max(local.dailyStreak || 0, cloud.dailyStreak || 0)
+    : ((lStudy > cStudy ? local.dailyStreak : cloud.dailyStreak) || 0);
+
+  const totalReviewedBy = mergeCounters(local.totalReviewedBy, cloud.totalReviewedBy, local.totalReviewed, cloud.totalReviewed);
+
   return {
-    dailyStreak:   Math.max(local.dailyStreak || 0, cloud.dailyStreak || 0),
-    lastStudyDate: (local.lastStudyDate || '') >= (cloud.lastStudyDate || '') ? local.lastStudyDate : cloud.lastStudyDate,
-    totalReviewed: Math.max(local.totalReviewed || 0, cloud.totalReviewed || 0),
+    dailyStreak,
+    lastStudyDate: lStudy >= cStudy ? local.lastStudyDate : cloud.lastStudyDate,
+    totalReviewed: counterTotal(totalReviewedBy),
+    totalReviewedBy,
     achievements:  [...new Set([...(local.achievements || []), ...(cloud.achievements || [])])],
     todayRounds,
     lastRoundDate,
+    // Scheduler choice is a preference — the device that pushes wins, like preferredDeck
+    scheduler:     local.scheduler || cloud.scheduler || 'classic',
+    srsParams:     local.srsParams || cloud.srsParams || null,
+    easyMode:      local.easyMode || cloud.easyMode || 'bonus',
+    // The level estimate moves with every new word, so it follows its own clock
+    learnerLevel:  pickLearnerLevel(local.learnerLevel, cloud.learnerLevel),
   };
 }
 
-/** Full merge of all sync data: decks + global + preferences. */
+const REVIEW_LOG_MAX = 5000;
+
+/** Union two lists by `keyOf`, keeping the first copy of each key. */
+function unionBy(local, cloud, keyOf) {
+  const byKey = new Map();
+  for (const item of [...(Array.isArray(local) ? local : []), ...(Array.isArray(cloud) ? cloud : [])]) {
+    const key = keyOf(item);
+    if (key !== null && !byKey.has(key)) byKey.set(key, item);
+  }
+  return [...byKey.values()];
+}
+
+/** Merge append-only review logs: union by event identity, oldest first, capped. */
+function mergeReviewLogs(local, cloud) {
+  const merged = unionBy(local, cloud, e => (e && typeof e === 'object' && e.ts && e.word)
+    ? e.ts + '|' + e.deck + '|' + e.word + '|' + e.source
+    : null);
+  return merged.sort((a, b) => a.ts - b.ts).slice(-REVIEW_LOG_MAX);
+}
+
+/** Merge reading history: union by entry id, newest first, capped at 50. */
+function mergeReadingHistory(local, cloud) {
+  const merged = unionBy(local, cloud, e => (e && typeof e === 'object')
+    ? (e.id ? 'id:' + e.id : JSON.stringify(e))
+    : null);
+  return merged.sort((a, b) => (b.id || 0) - (a.id || 0)).slice(0, 50);
+}
+
+/**
+ * Merge user-created deck definitions ({ id: { name, icon, words, mtime } or
+ * { deleted: true, mtime } }): per deck the later mtime wins.
+ */
+function mergeCustomDecks(local, cloud) {
+  const merged = {};
+  for (const side of [cloud, local]) {
+    for (const [id, deck] of Object.entries(side && typeof side === 'object' ? side : {})) {
+      if (!deck || typeof deck !== 'object') continue;
+      if (!merged[id] || (deck.mtime || 0) >= (merged[id].mtime || 0)) merged[id] = deck;
+    }
+  }
+  return merged;
+}
+
+/** Full merge of all sync data: decks + custom decks + global + preferences. */
 function mergeAll(local, cloud) {
-  const result = { decks: {}, global: {}, preferredDeck: '', readingHistory: [] };
+  const result = { decks: {}, customDecks: {}, global: {}, preferredDeck: '', readingHistory: [], reviewLog: [] };
 
   const allDeckIds = new Set([
     ...Object.keys(local.decks || {}),
@@ -86,33 +211,113 @@ function mergeAll(local, cloud) {
     );
   }
 
+  result.customDecks = mergeCustomDecks(local.customDecks, cloud.customDecks);
   result.global = mergeGlobal(local.global, cloud.global);
   result.preferredDeck = local.preferredDeck || cloud.preferredDeck || '';
 
-  // Reading history: union, deduplicate, cap at 50
-  const localHist  = Array.isArray(local.readingHistory)  ? local.readingHistory  : [];
-  const cloudHist  = Array.isArray(cloud.readingHistory)  ? cloud.readingHistory  : [];
-  const seen = new Set();
-  const merged = [];
-  for (const item of [...localHist, ...cloudHist]) {
-    const key = typeof item === 'object' ? JSON.stringify(item) : String(item);
-    if (!seen.has(key)) { seen.add(key); merged.push(item); }
-  }
-  result.readingHistory = merged.slice(-50);
+  result.readingHistory = mergeReadingHistory(local.readingHistory, cloud.readingHistory);
+  result.reviewLog = mergeReviewLogs(local.reviewLog, cloud.reviewLog);
 
   return result;
 }
 
+/* ── Storage ──────────────────────────────────────────────────────── */
+
+/**
+ * Strip the row-backed parts (word states, review log, reading history,
+ * achievements) from a payload, leaving the deck and global metadata kept in
+ * the sync_data blob.
+ */
+function metadataOf(data) {
+  const meta = { ...(data || {}), decks: {} };
+  for (const [deck, info] of Object.entries((data && data.decks) || {})) {
+    if (!info || typeof info !== 'object') continue;
+    const { state, ...rest } = info;
+    meta.decks[deck] = rest;
+  }
+  delete meta.reviewLog;
+  delete meta.readingHistory;
+  if (meta.global) {
+    meta.global = { ...meta.global };
+    delete meta.global.achievements;
+  }
+  return meta;
+}
+
+/**
+ * Merge an incoming (possibly partial) payload into the user's cloud copy under
+ * one write transaction. Words are upserted only when their clock is newer, so
+ * a delta never has to carry the words it did not touch.
+ */
+async function storeSyncData(username, data) {
+  return transaction(async tx => {
+    const revRow = await tx.execute({
+      sql: 'INSERT INTO sync_revs (username, rev) VALUES (?, 1) ON CONFLICT(username) DO UPDATE SET rev = rev + 1 RETURNING rev',
+      args: [username],
+    });
+    const rev = Number(revRow.rows[0].rev);
+    const record = await tx.execute({ sql: 'SELECT data FROM sync_data WHERE username = ?', args: [username] });
+    const stored = record.rows.length ? JSON.parse(record.rows[0].data) : {};
+
+    const merged = metadataOf(mergeAll(metadataOf(data), stored));
+    const now = Date.now();
+    await tx.batch([
+      ...rowStatements(username, data, rev, now),
+      {
+        sql: 'INSERT OR REPLACE INTO sync_data (username, data, updated_at) VALUES (?, ?, ?)',
+        args: [username, JSON.stringify(merged), now],
+      },
+    ]);
+    return { rev, updatedAt: now };
+  });
+}
+
+/**
+ * Load the user's cloud copy. With `since` > 0 only words, review events and
+ * reading entries changed after that revision are included; metadata is
+ * always complete. Returns null when the user has never synced.
+ */
+async function loadSyncData(username, since = 0) {
+  const [revRes, blobRes, wordRes, eventRes, readingRes, achRes] = await batch([
+    { sql: 'SELECT rev FROM sync_revs WHERE username = ?', args: [username] },
+    { sql: 'SELECT data, updated_at FROM sync_data WHERE username = ?', args: [username] },
+    { sql: 'SELECT deck, word, data FROM word_states WHERE username = ? AND rev > ?', args: [username, since] },
+    { sql: 'SELECT data FROM review_events WHERE username = ? AND rev > ? ORDER BY ts DESC LIMIT ?', args: [username, since, REVIEW_LOG_MAX] },
+    { sql: 'SELECT data FROM reading_history WHERE username = ? AND rev > ? ORDER BY id DESC LIMIT 50', args: [username, since] },
+    { sql: 'SELECT achievement FROM achievements WHERE username = ? ORDER BY unlocked_at', args: [username] },
+  ]);
+  if (!blobRes.rows.length) return null;
+
+  const data = JSON.parse(blobRes.rows[0].data);
+  const decks = {};
+  for (const [deck, meta] of Object.entries(data.decks || {})) {
+    decks[deck] = { ...meta, state: {} };
+  }
+  for (const row of wordRes.rows) {
+    if (!decks[row.deck]) decks[row.deck] = { state: {} };
+    decks[row.deck].state[row.word] = JSON.parse(row.data);
+  }
+  data.decks = decks;
+  data.reviewLog = eventRes.rows.map(r => JSON.parse(r.data)).reverse();
+  data.readingHistory = readingRes.rows.map(r => JSON.parse(r.data));
+  data.global = { ...(data.global || {}), achievements: achRes.rows.map(r => r.achievement) };
+  return {
+    data,
+    rev: revRes.rows.length ? Number(revRes.rows[0].rev) : 0,
+    updatedAt: blobRes.rows[0].updated_at,
+  };
+}
+
 /* ── Handler ──────────────────────────────────────────────────────── */
 
-module.exports = async (req, res) => {
+const handler = withRateLimit('sync', async (req, res) => {
   if (req.method !== 'POST') {
     return res.status(405).json({ ok: false, message: 'Method not allowed' });
   }
 
   try {
     const { action, token, data } = req.body || {};
-    const username = await verifyToken(token);
+    const username = (await verifyToken(token)) || (action === 'push' ? await verifyToken(token, 'push') : null);
 
     if (!username) {
       return res.status(401).json({ ok: false, message: 'Invalid or expired token.' });
@@ -125,22 +330,25 @@ module.exports = async (req, res) => {
     }
 
     // ── PUSH ──────────────────────────────────────────────────────────
+    // Accepts a full payload or a delta (only changed words); either way it is
+    // merged, so a push from one device never erases another device's reviews.
     if (action === 'push') {
       if (!data || typeof data !== 'object') {
         return res.status(400).json({ ok: false, message: 'Missing data payload.' });
       }
-      const now = Date.now();
-      await execute('INSERT OR REPLACE INTO sync_data (username, data, updated_at) VALUES (?, ?, ?)', [username, JSON.stringify(data), now]);
-      return res.status(200).json({ ok: true, message: 'Data saved.', updatedAt: now });
+      const { rev, updatedAt } = await storeSyncData(username, data);
+      return res.status(200).json({ ok: true, message: 'Data saved.', rev, updatedAt });
     }
 
     // ── PULL ──────────────────────────────────────────────────────────
+    // `since` (a revision from an earlier response) limits words to later changes
     if (action === 'pull') {
-      const record = await queryOne('SELECT data, updated_at FROM sync_data WHERE username = ?', [username]);
-      if (!record) {
-        return res.status(200).json({ ok: true, data: null, message: 'No cloud data found.' });
+      const since = Math.max(0, parseInt(req.body.since, 10) || 0);
+      const cloud = await loadSyncData(username, since);
+      if (!cloud) {
+        return res.status(200).json({ ok: true, data: null, rev: 0, message: 'No cloud data found.' });
       }
-      return res.status(200).json({ ok: true, data: JSON.parse(record.data), updatedAt: record.updated_at });
+      return res.status(200).json({ ok: true, data: cloud.data, rev: cloud.rev, updatedAt: cloud.updatedAt });
     }
 
     // ── MERGE ─────────────────────────────────────────────────────────
@@ -148,12 +356,9 @@ module.exports = async (req, res) => {
       if (!data || typeof data !== 'object') {
         return res.status(400).json({ ok: false, message: 'Missing data payload.' });
       }
-      const record = await queryOne('SELECT data FROM sync_data WHERE username = ?', [username]);
-      const cloudData = record ? JSON.parse(record.data) : {};
-      const merged = mergeAll(data, cloudData);
-      const now = Date.now();
-      await execute('INSERT OR REPLACE INTO sync_data (username, data, updated_at) VALUES (?, ?, ?)', [username, JSON.stringify(merged), now]);
-      return res.status(200).json({ ok: true, data: merged, updatedAt: now, message: 'Merged successfully.' });
+      await storeSyncData(username, data);
+      const cloud = await loadSyncData(username, 0);
+      return res.status(200).json({ ok: true, data: cloud.data, rev: cloud.rev, updatedAt: cloud.updatedAt, message: 'Merged successfully.' });
     }
 
     return res.status(400).json({ ok: false, message: 'Unsupported action. Use push, pull, or merge.' });
@@ -164,4 +369,14 @@ module.exports = async (req, res) => {
       : 'Internal server error.';
     return res.status(500).json({ ok: false, message: msg });
   }
-};
+});
+
+module.exports = handler;
+// Pure merge helpers, exported for reuse and testing
+module.exports.pickWordState    = pickWordState;
+module.exports.mergeCounters    = mergeCounters;
+module.exports.mergeWordStates  = mergeWordStates;
+module.exports.mergeGlobal      = mergeGlobal;
+module.exports.mergeReviewLogs  = mergeReviewLogs;
+module.exports.mergeCustomDecks = mergeCustomDecks;
+module.exports.mergeAll         = mergeAll;
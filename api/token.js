@@ -1,70 +1,184 @@
 /**
- * api/token.js — HMAC-signed token creation & verification
+ * api/token.js — Access tokens, rotating refresh tokens & verification
  *
- * Token format: {payload}.{signature}
- *   payload   = base64url(JSON { sub, iat, exp })
+ * Access token format: {payload}.{signature}
+ *   payload   = base64url(JSON { sub, iat, exp, ver, typ: 'access' })
  *   signature = HMAC-SHA256(payload, server_secret)
  *
- * Default expiry: 30 days
+ * Access tokens live 15 minutes. Clients renew them with a refresh token — an
+ * opaque random string stored only as a SHA-256 hash in `refresh_tokens`. Each
+ * refresh rotates it: the presented token is marked used and a new one in the
+ * same family is returned. Presenting an already-used token again means it
+ * leaked, so the whole family is revoked.
+ *
+ * Push tokens (typ: 'push', 7 days) come with every session. They are good only
+ * for the sync `push` action, which merges and never reads or deletes, so the
+ * service worker can upload the offline outbox without a refresh token (see
+ * outbox.js); the page renews them with each refresh.
+ *
+ * `ver` is the user's token_version at issue time; bumping the column revokes
+ * every earlier access and push token (password change, "log out all devices").
+ *
+ * Migration: signed 30-day tokens issued before refresh tokens (no `typ`) stay
+ * valid until they expire, and the auth `refresh` action exchanges them for a
+ * session. Unsigned legacy base64url("username:ts:random") tokens can be forged
+ * for any user, so they are never accepted: those clients sign in again.
  */
 
 const crypto = require('crypto');
-const { getSecret } = require('./db');
+const { queryOne, execute, transaction, getSecret } = require('./db');
 
-const TOKEN_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const ACCESS_TOKEN_MAX_AGE_MS  = 15 * 60 * 1000;            // 15 minutes
+const REFRESH_TOKEN_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const PUSH_TOKEN_MAX_AGE_MS    = 7 * 24 * 60 * 60 * 1000;   // 7 days
+const MAX_AGE_MS = { access: ACCESS_TOKEN_MAX_AGE_MS, push: PUSH_TOKEN_MAX_AGE_MS };
+// A second use this soon after rotation is two tabs racing, not a stolen token
+const REFRESH_REUSE_GRACE_MS   = 10 * 1000;
 
 function sign(payload, secret) {
   return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
 }
 
-/** Create a signed token for the given username */
-async function createToken(username) {
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Current token version of a user, or null if the user does not exist */
+async function tokenVersion(username) {
+  const row = await queryOne('SELECT token_version FROM users WHERE username = ?', [username]);
+  return row ? Number(row.token_version) || 0 : null;
+}
+
+/** Create a signed token of type `typ` ('access' or 'push') for the given username */
+async function createToken(username, typ = 'access') {
   const secret = await getSecret();
   const now = Date.now();
   const payload = Buffer.from(JSON.stringify({
     sub: username,
     iat: now,
-    exp: now + TOKEN_MAX_AGE_MS,
+    exp: now + MAX_AGE_MS[typ],
+    ver: (await tokenVersion(username)) || 0,
+    typ,
   })).toString('base64url');
   const sig = sign(payload, secret);
   return `${payload}.${sig}`;
 }
 
+/** Store a new refresh token in `family` (inside transaction `tx`) and return the plain token */
+async function createRefreshToken(tx, username, family) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  await tx.execute({
+    sql: 'INSERT INTO refresh_tokens (id, username, family, created_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+    args: [hashRefreshToken(token), username, family, now, now + REFRESH_TOKEN_MAX_AGE_MS],
+  });
+  return token;
+}
+
+/** The tokens of a session around its refresh token, as spread into auth responses */
+async function sessionTokens(username, refreshToken) {
+  const now = Date.now();
+  return {
+    token: await createToken(username),
+    refreshToken,
+    expiresAt: now + ACCESS_TOKEN_MAX_AGE_MS,
+    pushToken: await createToken(username, 'push'),
+    pushExpiresAt: now + PUSH_TOKEN_MAX_AGE_MS,
+  };
+}
+
+/**
+ * Start a new session: an access token plus a refresh token in a new family.
+ * The result is spread straight into auth responses.
+ */
+async function issueSession(username) {
+  const family = crypto.randomBytes(12).toString('hex');
+  const refreshToken = await transaction(tx => createRefreshToken(tx, username, family));
+  return sessionTokens(username, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new session in the same family.
+ * Returns { username, session } or null if the token is unknown, expired,
+ * revoked or was already used (in which case the family is revoked).
+ */
+async function rotateRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const id = hashRefreshToken(refreshToken);
+  const rotated = await transaction(async tx => {
+    const found = await tx.execute({
+      sql: 'SELECT username, family, expires_at, used_at FROM refresh_tokens WHERE id = ?',
+      args: [id],
+    });
+    const row = found.rows[0];
+    if (!row) return null;
+    const now = Date.now();
+    if (row.used_at) {
+      if (now - Number(row.used_at) > REFRESH_REUSE_GRACE_MS) {
+        console.warn('[token] Refresh token reuse detected — revoking session family for', row.username);
+        await tx.execute({ sql: 'DELETE FROM refresh_tokens WHERE family = ?', args: [row.family] });
+      }
+      return null;
+    }
+    if (Number(row.expires_at) < now) return null;
+    await tx.execute({ sql: 'UPDATE refresh_tokens SET used_at = ? WHERE id = ?', args: [now, id] });
+    return { username: row.username, refreshToken: await createRefreshToken(tx, row.username, row.family) };
+  });
+  if (!rotated) return null;
+  return { username: rotated.username, session: await sessionTokens(rotated.username, rotated.refreshToken) };
+}
+
+/** Revoke the session a refresh token belongs to (single-device logout) */
+async function revokeRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return;
+  await execute(
+    'DELETE FROM refresh_tokens WHERE family = (SELECT family FROM refresh_tokens WHERE id = ?)',
+    [hashRefreshToken(refreshToken)]
+  );
+}
+
+/** Revoke every refresh token of a user (access tokens need a token_version bump) */
+async function revokeSessions(username) {
+  await execute('DELETE FROM refresh_tokens WHERE username = ?', [username]);
+}
+
 /**
- * Verify a token and return the username, or null if invalid/expired.
- * Accepts both new HMAC tokens and legacy base64url tokens (for migration).
+ * Verify a token of type `typ` and return the username, or null if invalid,
+ * expired, revoked, of another type or the account no longer exists. Signed
+ * pre-rotation tokens count as access tokens; unsigned ones are never accepted.
  */
-async function verifyToken(token) {
+async function verifyToken(token, typ = 'access') {
   if (!token || typeof token !== 'string') return null;
 
-  // New format: payload.signature
+  // Signed format: payload.signature
+  const dotIdx = token.indexOf('.');
+  if (dotIdx <= 0) return null;
+  const payload = token.slice(0, dotIdx);
+  const sig     = token.slice(dotIdx + 1);
+  const secret  = await getSecret();
+  const expected = sign(payload, secret);
+  // timingSafeEqual throws if buffers have different lengths — guard first
+  const sigBuf = Buffer.from(sig);
+  const expBuf = Buffer.from(expected);
+  if (sigBuf.length !== expBuf.length) return null;
+  if (!crypto.timingSafeEqual(sigBuf, expBuf)) return null;
+  let data;
+  try { data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch (_) { return null; }
+  if (!data || !data.sub || typeof data.sub !== 'string') return null;
+  if ((data.typ || 'access') !== typ) return null;
+  if (data.exp && data.exp < Date.now()) return null;
+  // DB errors propagate so callers report a server error, not a bad token
+  return (await tokenVersion(data.sub)) === (data.ver || 0) ? data.sub : null;
+}
+
+/** True for signed access tokens issued before refresh rotation (no `typ`) */
+function isPreRotationToken(token) {
+  if (typeof token !== 'string') return false;
   const dotIdx = token.indexOf('.');
-  if (dotIdx > 0) {
-    const payload = token.slice(0, dotIdx);
-    const sig     = token.slice(dotIdx + 1);
-    const secret  = await getSecret();
-    const expected = sign(payload, secret);
-    // timingSafeEqual throws if buffers have different lengths — guard first
-    const sigBuf = Buffer.from(sig);
-    const expBuf = Buffer.from(expected);
-    if (sigBuf.length !== expBuf.length) return null;
-    if (!crypto.timingSafeEqual(sigBuf, expBuf)) return null;
-    try {
-      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
-      if (!data.sub || typeof data.sub !== 'string') return null;
-      if (data.exp && data.exp < Date.now()) return null;
-      return data.sub;
-    } catch (_) { return null; }
-  }
-
-  // Legacy format: base64url("username:ts:random") — accept for migration
+  if (dotIdx <= 0) return false;
   try {
-    const decoded = Buffer.from(token, 'base64url').toString('utf8');
-    const parts = decoded.split(':');
-    if (parts.length < 3) return null;
-    const username = parts[0];
-    return username && username.length >= 5 ? username : null;
-  } catch (_) { return null; }
+    return !JSON.parse(Buffer.from(token.slice(0, dotIdx), 'base64url').toString('utf8')).typ;
+  } catch (_) { return false; }
 }
 
-module.exports = { createToken, verifyToken };
+module.exports = { createToken, issueSession, rotateRefreshToken, revokeRefreshToken, revokeSessions, verifyToken, isPreRotationToken };
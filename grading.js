@@ -0,0 +1,280 @@
+// VocabLoop grading – marks typed practice answers (spelling, cloze, dictation)
+//
+// An answer is 'correct' when it matches the expected form or an accepted
+// alternative: British / American spellings from VARIANTS, and any other form
+// the question lists in `accept`. It is 'close' — partial credit, reviewed as
+// hard rather than again — when it is the right word in the wrong form (the
+// question's `related` forms, e.g. "accept" where the sentence says
+// "accepted") or a small typo: one edit from five letters up, two from nine.
+// A typo that spells another word of the deck is still wrong.
+//
+// `forms()` gives the inflections a headword can take in a sentence, so the
+// cloze generator can blank "accepted", "took" or "gave up" as well as the
+// headword itself; `pastTenses()` feeds the word-form questions; `diff()` lines an answer up against the expected one
+// character by character.
+(function () {
+  // British ↔ American spellings; a pair also covers its regular inflections (colours, organised)
+  const VARIANTS = [
+    ['colour', 'color'], ['favour', 'favor'], ['flavour', 'flavor'], ['honour', 'honor'], ['humour', 'humor'],
+    ['labour', 'labor'], ['neighbour', 'neighbor'], ['behaviour', 'behavior'], ['harbour', 'harbor'],
+    ['rumour', 'rumor'], ['vapour', 'vapor'], ['vigour', 'vigor'], ['endeavour', 'endeavor'], ['savour', 'savor'],
+    ['armour', 'armor'], ['glamour', 'glamor'], ['odour', 'odor'], ['parlour', 'parlor'], ['splendour', 'splendor'],
+    ['centre', 'center'], ['theatre', 'theater'], ['metre', 'meter'], ['litre', 'liter'], ['fibre', 'fiber'],
+    ['calibre', 'caliber'], ['sombre', 'somber'], ['spectre', 'specter'], ['lustre', 'luster'],
+    ['centred', 'centered'], ['defence', 'defense'], ['offence', 'offense'], ['licence', 'license'],
+    ['pretence', 'pretense'], ['analyse', 'analyze'], ['paralyse', 'paralyze'], ['catalyse', 'catalyze'],
+    ['organise', 'organize'], ['organisation', 'organization'], ['realise', 'realize'], ['recognise', 'recognize'],
+    ['apologise', 'apologize'], ['criticise', 'criticize'], ['emphasise', 'emphasize'], ['summarise', 'summarize'],
+    ['prioritise', 'prioritize'], ['minimise', 'minimize'], ['maximise', 'maximize'], ['optimise', 'optimize'],
+    ['utilise', 'utilize'], ['specialise', 'specialize'], ['standardise', 'standardize'], ['civilisation', 'civilization'],
+    ['globalisation', 'globalization'], ['characterise', 'characterize'], ['memorise', 'memorize'],
+    ['authorise', 'authorize'], ['categorise', 'categorize'], ['customise', 'customize'], ['finalise', 'finalize'],
+    ['mobilise', 'mobilize'], ['modernise', 'modernize'], ['normalise', 'normalize'], ['stabilise', 'stabilize'],
+    ['subsidise', 'subsidize'], ['sympathise', 'sympathize'], ['visualise', 'visualize'], ['jeopardise', 'jeopardize'],
+    ['travelled', 'traveled'], ['travelling', 'traveling'], ['traveller', 'traveler'], ['cancelled', 'canceled'],
+    ['cancelling', 'canceling'], ['labelled', 'labeled'], ['modelling', 'modeling'], ['fuelled', 'fueled'],
+    ['counsellor', 'counselor'], ['jewellery', 'jewelry'], ['catalogue', 'catalog'], ['dialogue', 'dialog'],
+    ['analogue', 'analog'], ['programme', 'program'], ['judgement', 'judgment'], ['acknowledgement', 'acknowledgment'],
+    ['ageing', 'aging'], ['grey', 'gray'], ['plough', 'plow'], ['sceptical', 'skeptical'], ['mould', 'mold'],
+    ['moustache', 'mustache'], ['pyjamas', 'pajamas'], ['tyre', 'tire'], ['kerb', 'curb'], ['aluminium', 'aluminum'],
+    ['enrol', 'enroll'], ['fulfil', 'fulfill'], ['instalment', 'installment'], ['skilful', 'skillful'],
+    ['wilful', 'willful'], ['manoeuvre', 'maneuver'], ['oestrogen', 'estrogen'], ['anaesthetic', 'anesthetic'],
+    ['encyclopaedia', 'encyclopedia'], ['paediatric', 'pediatric'], ['haemoglobin', 'hemoglobin'],
+    ['draught', 'draft'], ['cosy', 'cozy'], ['practise', 'practice'], ['storey', 'story'], ['whisky', 'whiskey'],
+  ];
+  const INFLECTION_TAIL = /^(s|es|d|ed|ing|er|ers|ation|ations|ly|al|able|ist|ists|ism)?$/;
+
+  // Common irregular verbs: base, past, past participle; a slash separates forms in
+  // equal use, the first one preferred (burned / burnt). "lie" is not listed: lay /
+  // lain belong to lie (recline), lied to lie (tell untruths).
+  const IRREGULAR = [
+    'arise arose arisen', 'be was/were been', 'bear bore borne', 'beat beat beaten', 'become became become',
+    'begin began begun', 'bend bent bent', 'bind bound bound', 'bite bit bitten', 'blow blew blown',
+    'break broke broken', 'bring brought brought', 'build built built', 'burn burned/burnt burned/burnt', 'buy bought bought',
+    'catch caught caught', 'choose chose chosen', 'come came come', 'cost cost cost', 'cut cut cut',
+    'deal dealt dealt', 'dig dug dug', 'dive dived/dove dived', 'dream dreamed/dreamt dreamed/dreamt', 'do did done', 'draw drew drawn', 'drink drank drunk', 'drive drove driven',
+    'eat ate eaten', 'fall fell fallen', 'feed fed fed', 'feel felt felt', 'fight fought fought', 'find found found',
+    'flee fled fled', 'fly flew flown', 'forbid forbade forbidden', 'forget forgot forgotten', 'forgive forgave forgiven',
+    'freeze froze frozen', 'get got got/gotten', 'give gave given', 'go went gone', 'grow grew grown', 'hang hung hung',
+    'have had had', 'hear heard heard', 'hide hid hidden', 'hit hit hit', 'hold held held', 'hurt hurt hurt',
+    'keep kept kept', 'kneel knelt/kneeled knelt/kneeled', 'know knew known', 'lay laid laid', 'lead led led', 'lean leaned/leant leaned/leant', 'leap leaped/leapt leaped/leapt',
+    'learn learned/learnt learned/learnt', 'leave left left',
+    'lend lent lent', 'let let let', 'light lit/lighted lit/lighted', 'lose lost lost', 'make made made', 'mean meant meant',
+    'meet met met', 'overcome overcame overcome', 'pay paid paid', 'prove proved proven/proved', 'put put put', 'quit quit quit', 'read read read',
+    'ride rode ridden', 'ring rang rung', 'rise rose risen', 'run ran run', 'say said said', 'see saw seen',
+    'seek sought sought', 'sell sold sold', 'send sent sent', 'set set set', 'shake shook shaken', 'shine shone shone',
+    'shoot shot shot', 'show showed shown/showed', 'shrink shrank shrunk', 'shut shut shut', 'sing sang sung', 'sink sank sunk',
+    'sit sat sat', 'sleep slept slept', 'slide slid slid', 'smell smelled/smelt smelled/smelt', 'speak spoke spoken',
+    'spell spelled/spelt spelled/spelt', 'spend spent spent', 'spill spilled/spilt spilled/spilt',
+    'spoil spoiled/spoilt spoiled/spoilt', 'spread spread spread',
+    'stand stood stood', 'steal stole stolen', 'stick stuck stuck', 'strike struck struck', 'strive strove striven',
+    'swear swore sworn', 'sweep swept swept', 'swim swam swum', 'take took taken', 'teach taught taught',
+    'tear tore torn', 'tell told told', 'think thought thought', 'throw threw thrown', 'undergo underwent undergone',
+    'understand understood understood', 'undertake undertook undertaken', 'wake woke woken', 'wear wore worn',
+    'win won won', 'withdraw withdrew withdrawn', 'write wrote written',
+  ].reduce((map, line) => {
+    const [base, past, participle] = line.split(' ');
+    map[base] = { past: past.split('/'), participle: participle.split('/') };
+    return map;
+  }, {});
+
+  /** Lower case, straight apostrophes, hyphens as spaces, single spaces */
+  function normalise(s) {
+    return String(s || '').toLowerCase().replace(/[‘’]/g, "'").replace(/[-‐–]/g, ' ')
+      .replace(/\s+/g, ' ').trim().replace(/[.!?,;:]+$/, '');
+  }
+
+  /** Alternate spellings of a word or phrase, word by word (the input itself not included) */
+  function variants(text) {
+    const words = normalise(text).split(' ');
+    const out = new Set();
+    words.forEach((w, i) => {
+      for (const pair of VARIANTS) {
+        for (const [from, to] of [pair, [pair[1], pair[0]]]) {
+          if (!w.startsWith(from) || !INFLECTION_TAIL.test(w.slice(from.length))) continue;
+          // "colour" + "ed" → "colored"; a final e before a vowel suffix drops ("centre" + "ing" → "centring")
+          const tail = w.slice(from.length);
+          const stem = /e$/.test(to) && /^[aeiou]/.test(tail) ? to.slice(0, -1) : to;
+          out.add([...words.slice(0, i), stem + tail, ...words.slice(i + 1)].join(' '));
+        }
+      }
+    });
+    out.delete(words.join(' '));
+    return [...out];
+  }
+
+  /**
+   * The stems a vowel suffix (-ed, -ing, -er, -est) attaches to: one-syllable
+   * consonant–vowel–consonant words double the consonant (stop → stopp-); longer
+   * ones do when the last syllable is stressed (admitted, visited), so both are kept.
+   */
+  function suffixStems(w) {
+    if (/^[^aeiou]*[aeiou][b-df-hj-np-tvz]$/.test(w)) return [w + w.slice(-1)];
+    if (/[^aeiou][aeiou][b-df-hj-np-tvz]$/.test(w)) return [w, w + w.slice(-1)];
+    return [w];
+  }
+
+  /**
+   * Regular inflections of a single word for its parts of speech (`pos`: a set of
+   * 'noun' / 'verb' / 'adj' / 'phrase'; empty when unknown): plurals and third
+   * person, past and -ing for verbs, comparatives for adjectives only — "reminder"
+   * is not a form of "remind". `irregular` ({ past, participle }) replaces the -ed forms.
+   */
+  function inflect(w, pos, irregular) {
+    const verb = !pos.size || pos.has('verb') || pos.has('phrase');
+    const adj  = pos.has('adj');
+    const out = [];
+    const suffix = (...tails) => {
+      for (const tail of tails) {
+        if (/[^aeiou]y$/.test(w)) out.push(w.slice(0, -1) + (tail === 'ing' ? 'ying' : 'i' + tail));
+        else if (/e$/.test(w)) out.push(w.slice(0, -1) + tail);
+        else out.push(...suffixStems(w).map(stem => stem + tail));
+      }
+    };
+    if (verb || pos.has('noun')) {
+      out.push(/[^aeiou]y$/.test(w) ? w.slice(0, -1) + 'ies' : /(s|x|z|ch|sh)$/.test(w) ? w + 'es' : w + 's');
+      if (/o$/.test(w)) out.push(w + 'es');
+    }
+    if (verb) {
+      if (irregular) out.push(...irregular.past, ...irregular.participle);
+      else suffix('ed');
+      // lie → lying; agree, dye, canoe keep their e (agreeing)
+      if (/ie$/.test(w)) out.push(w.slice(0, -2) + 'ying');
+      else if (/(ee|ye|oe)$/.test(w)) out.push(w + 'ing');
+      else suffix('ing');
+    }
+    if (adj) suffix('er', 'est');
+    return out;
+  }
+
+  /**
+   * Every form a headword can take in a sentence, the headword first. For a
+   * phrase the first word is inflected ("give up" → "gave up", "giving up").
+   * `known` are the dictionary entry's forms: when it has any, the verb is
+   * irregular and they stand in for the -ed forms ("gave", not "gived"). `pos`
+   * lists the word's parts of speech (see inflect()).
+   */
+  function forms(headword, known, pos) {
+    const words = normalise(headword).split(' ');
+    const head = words[0];
+    const rest = words.slice(1);
+    known = (known || []).map(normalise).filter(Boolean);
+    let heads;
+    if (head === 'be') heads = ['be', 'am', 'is', 'are', 'was', 'were', 'been', 'being'];
+    else {
+      const irregular = IRREGULAR[head] || (known.length ? { past: [], participle: [] } : null);
+      heads = [head, ...inflect(head, new Set(pos || []), irregular)];
+    }
+    const all = heads.map(h => [h, ...rest].join(' '));
+    all.push(...known);
+    return [...new Set(all)];
+  }
+
+  /**
+   * Past tense of a verb or phrasal verb ("give up" → ["gave up"]), every
+   * accepted spelling with the preferred one first (["burned", "burnt"]), or
+   * null when the letters alone can't tell it: admit → admitted but visit →
+   * visited, lie → lied or lay.
+   */
+  function pastTenses(headword) {
+    const words = normalise(headword).split(' ');
+    const w = words[0];
+    const rest = words.slice(1);
+    if (IRREGULAR[w]) return IRREGULAR[w].past.map(p => [p, ...rest].join(' '));
+    if (w === 'lie') return null;
+    let past;
+    if (/e$/.test(w)) past = w + 'd';
+    else if (/[^aeiou]y$/.test(w)) past = w.slice(0, -1) + 'ied';
+    else if (/^[^aeiou]*[aeiou][b-df-hj-np-tvz]$/.test(w)) past = w + w.slice(-1) + 'ed';  // one syllable: stop → stopped
+    else if (/(^|[^aeiou])[aeiou][b-df-hj-np-tvz]$/.test(w)) return null;                  // depends on stress
+    else past = w + 'ed';
+    return [[past, ...rest].join(' ')];
+  }
+
+  /** Optimal string alignment distance: insertions, deletions, substitutions and swaps of neighbours */
+  function distance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+      d.push([i]);
+      for (let j = 1; j <= b.length; j++) {
+        if (i === 0) { d[i][j] = j; continue; }
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return d[a.length][b.length];
+  }
+
+  /** Typos forgiven for an answer of this length */
+  function tolerance(len) {
+    return len >= 9 ? 2 : (len >= 5 ? 1 : 0);
+  }
+
+  /**
+   * Mark a typed answer against question `q` ({ correct, accept?, related? }).
+   * `isWord(text)` says whether a near miss is itself another word (then it is wrong).
+   * Returns { verdict: 'correct' | 'close' | 'wrong', expected } — expected is the
+   * form the answer came nearest to, for showing the diff.
+   */
+  function grade(input, q, isWord) {
+    const typed = normalise(input);
+    const expected = normalise(q.correct);
+    const accepted = [expected, ...(q.accept || []).map(normalise)];
+    for (const a of [...accepted]) accepted.push(...variants(a));
+    if (accepted.includes(typed)) return { verdict: 'correct', expected: typed };
+
+    const related = (q.related || []).map(normalise);
+    for (const r of [...related]) related.push(...variants(r));
+    if (related.includes(typed)) return { verdict: 'close', expected };
+
+    let nearest = expected;
+    let best = Infinity;
+    for (const a of accepted) {
+      const dist = distance(typed, a);
+      if (dist < best) { best = dist; nearest = a; }
+    }
+    const typo = typed && best <= tolerance(nearest.length) && !(isWord && isWord(typed));
+    return { verdict: typo ? 'close' : 'wrong', expected: nearest };
+  }
+
+  /**
+   * Character-level alignment of an answer with the expected text:
+   * { input: [{ char, ok }], expected: [{ char, ok }] } — ok false marks typed
+   * letters that should not be there and expected letters that were missed or mistyped.
+   */
+  function diff(input, expected) {
+    const a = String(input || '').trim();
+    const b = String(expected || '');
+    const al = a.toLowerCase();
+    const bl = b.toLowerCase();
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+      d.push([]);
+      for (let j = 0; j <= b.length; j++) {
+        d[i][j] = i === 0 ? j : j === 0 ? i
+          : Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (al[i - 1] === bl[j - 1] ? 0 : 1));
+      }
+    }
+    const inOk = new Array(a.length).fill(false);
+    const exOk = new Array(b.length).fill(false);
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 && j > 0) {
+      if (al[i - 1] === bl[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+        inOk[--i] = true;
+        exOk[--j] = true;
+      } else if (d[i][j] === d[i - 1][j - 1] + 1) { i--; j--; }
+      else if (d[i][j] === d[i - 1][j] + 1) i--;
+      else j--;
+    }
+    return {
+      input: a.split('').map((char, k) => ({ char, ok: inOk[k] })),
+      expected: b.split('').map((char, k) => ({ char, ok: exOk[k] })),
+    };
+  }
+
+  self.VocabGrading = { grade, diff, forms, pastTenses, variants, normalise, distance };
+})();
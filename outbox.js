@@ -0,0 +1,165 @@
+// VocabLoop sync outbox – unsent changes in IndexedDB, shared by the page and sw.js
+//
+// The page copies each saved change into the `changes` store (one record per
+// word, review, reading entry, custom deck, plus deck and global metadata) and
+// a push sends the whole outbox, deleting only what the server accepted. A
+// word changed twice while offline is one record, so it goes up once.
+//
+// When a push fails the page registers a Background Sync and sw.js replays the
+// outbox with the push token the page left in `meta` — good for a week, and
+// only for uploading (see api/token.js). The service worker never holds the
+// refresh token: rotating it behind the page's back would race the page's own
+// refresh and revoke the session. An expired push token just leaves the outbox
+// for the page's next sync.
+(function () {
+  const DB_NAME = 'vocabloop-outbox';
+  const SYNC_TAG = 'vocabloop-outbox';
+  const META_KINDS = ['deck', 'global', 'pref'];  // re-sent with every push, not counted as pending
+
+  let dbPromise = null;
+  let memory = null;  // used when IndexedDB is unavailable — survives only until the page closes
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore('changes', { keyPath: 'key' });
+          req.result.createObjectStore('meta');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }).catch(() => {
+        memory = { changes: new Map(), meta: new Map() };
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  /** Run fn(store) in one transaction; resolves to the result of the request fn returns */
+  async function run(name, mode, fn) {
+    const db = await open();
+    if (!db) return fn(null, memory[name]);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      const req = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /** Whether queued changes survive a reload (false in the in-memory fallback) */
+  async function durable() {
+    return !!(await open());
+  }
+
+  function put(records) {
+    return run('changes', 'readwrite', (store, mem) => {
+      for (const r of records) store ? store.put(r) : mem.set(r.key, r);
+    });
+  }
+
+  function all() {
+    return run('changes', 'readonly', (store, mem) => store ? store.getAll() : [...mem.values()])
+      .then(list => list || []);
+  }
+
+  async function pending() {
+    return (await all()).filter(r => !META_KINDS.includes(r.kind)).length;
+  }
+
+  /** Delete sent records, unless they were queued again while the push was in flight */
+  function remove(sent) {
+    return run('changes', 'readwrite', (store, mem) => {
+      for (const r of sent) {
+        if (!store) {
+          const cur = mem.get(r.key);
+          if (cur && cur.queuedAt === r.queuedAt) mem.delete(r.key);
+          continue;
+        }
+        const req = store.get(r.key);
+        req.onsuccess = () => {
+          if (req.result && req.result.queuedAt === r.queuedAt) store.delete(r.key);
+        };
+      }
+    });
+  }
+
+  /** Drop everything queued before ts (a full merge started at ts already carried it) */
+  async function clearBefore(ts) {
+    await remove((await all()).filter(r => r.queuedAt < ts));
+  }
+
+  /** Keep the session's push-only token for sw.js; null (or a session without one) removes it */
+  function setAuth(auth) {
+    const value = auth && auth.pushToken ? { token: auth.pushToken, expiresAt: auth.pushExpiresAt || 0 } : null;
+    return run('meta', 'readwrite', (store, mem) => {
+      if (store) return value ? store.put(value, 'auth') : store.delete('auth');
+      value ? mem.set('auth', value) : mem.delete('auth');
+    });
+  }
+
+  function getAuth() {
+    return run('meta', 'readonly', (store, mem) => store ? store.get('auth') : mem.get('auth'))
+      .then(v => v || null);
+  }
+
+  /** Split a push payload (see collectDelta in index.html) into outbox records */
+  function recordsFrom(data, queuedAt) {
+    const out = [];
+    const add = (key, kind, value, extra) => out.push(Object.assign({ key, kind, value, queuedAt }, extra));
+    for (const [deck, info] of Object.entries(data.decks || {})) {
+      const meta = Object.assign({}, info);
+      delete meta.state;
+      add('deck:' + deck, 'deck', meta, { deck });
+      for (const [word, s] of Object.entries(info.state || {})) {
+        add('word:' + deck + ':' + word, 'word', s, { deck, word });
+      }
+    }
+    for (const [id, d] of Object.entries(data.customDecks || {})) add('custom:' + id, 'custom', d, { id });
+    // Same identity as mergeReviewLogs in api/sync.js
+    for (const e of data.reviewLog || []) add(['review', e.ts, e.deck, e.word, e.source].join('|'), 'review', e);
+    for (const e of data.readingHistory || []) if (e.id) add('reading:' + e.id, 'reading', e);
+    if (data.global) add('global', 'global', data.global);
+    if (data.preferredDeck) add('pref', 'pref', data.preferredDeck);
+    return out;
+  }
+
+  /** Reassemble outbox records into one push payload */
+  function payload(records) {
+    const data = { decks: {}, customDecks: {}, reviewLog: [], readingHistory: [] };
+    const deck = id => data.decks[id] || (data.decks[id] = { state: {} });
+    for (const r of records) {
+      if (r.kind === 'deck')         data.decks[r.deck] = Object.assign({}, r.value, { state: deck(r.deck).state });
+      else if (r.kind === 'word')    deck(r.deck).state[r.word] = r.value;
+      else if (r.kind === 'custom')  data.customDecks[r.id] = r.value;
+      else if (r.kind === 'review')  data.reviewLog.push(r.value);
+      else if (r.kind === 'reading') data.readingHistory.push(r.value);
+      else if (r.kind === 'global')  data.global = r.value;
+      else if (r.kind === 'pref')    data.preferredDeck = r.value;
+    }
+    data.reviewLog.sort((a, b) => a.ts - b.ts);
+    return data;
+  }
+
+  /**
+   * Push the outbox with send(payload) → { ok, … } and delete the records on
+   * success. Resolves to send's result ({ ok: true } when there was nothing to
+   * send); send throwing (offline) leaves every record in place.
+   */
+  async function flush(send) {
+    const records = await all();
+    if (!records.length) return { ok: true };
+    const result = await send(payload(records));
+    if (result && result.ok) await remove(records);
+    return result;
+  }
+
+  self.VocabOutbox = {
+    SYNC_TAG, durable, put, all, pending, remove, clearBefore,
+    setAuth, getAuth, recordsFrom, payload, flush,
+  };
+})();
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * build-sw.js — Generate sw-manifest.js, the service worker's precache list
+ *
+ * Usage:
+ *   node scripts/build-sw.js           # rewrite sw-manifest.js
+ *   node scripts/build-sw.js --check   # exit 1 if sw-manifest.js is out of date
+ *
+ * Lists the app shell (APP_SHELL) and every deck in data/decks.json with a
+ * content hash of each file. sw.js imports the result, so any edited file
+ * changes the service worker: browsers install the new version, which
+ * downloads only the files whose hash changed, and the app offers a reload.
+ * Run it (npm run build:sw) after changing any listed file, before deploying.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { readManifest } = require('../api/decks');
+
+const ROOT     = path.join(__dirname, '..');
+const OUT_FILE = path.join(ROOT, 'sw-manifest.js');
+
+// Same-origin files the app needs offline (the deck files are added from the registry)
+const APP_SHELL = [
+    'index.html',
+    'account.html',
+    'privacy.html',
+    'storage.js',
+    'grading.js',
+    'outbox.js',
+    'manifest.json',
+    'icons/favicon-32.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'data/decks.json',
+    'data/placement.json',
+];
+
+const CHECK = process.argv.slice(2).includes('--check');
+
+/** Same hash as api/decks.js reports for deck files */
+function hashOf(buf) {
+    return crypto.createHash('sha256').update(buf).digest('hex').slice(0, 16);
+}
+
+function entry(file) {
+    return { url: './' + file, hash: hashOf(fs.readFileSync(path.join(ROOT, file))) };
+}
+
+async function main() {
+    const shell = APP_SHELL.map(entry);
+    const decks = (await readManifest()).map(d => entry(d.file));
+    const version = hashOf([...shell, ...decks].map(e => e.url + ' ' + e.hash).join('\n'));
+
+    const out = [
+        '// Generated by scripts/build-sw.js — do not edit; run `npm run build:sw`',
+        `self.PRECACHE_SHELL = ${JSON.stringify(shell, null, 2)};`,
+        `self.PRECACHE_DECKS = ${JSON.stringify(decks, null, 2)};`,
+        '',
+    ].join('\n');
+
+    const current = fs.existsSync(OUT_FILE) ? fs.readFileSync(OUT_FILE, 'utf8') : '';
+    if (CHECK) {
+        if (current !== out) {
+            console.error('sw-manifest.js is out of date — run `npm run build:sw`');
+            process.exit(1);
+        }
+        console.log(`sw-manifest.js is up to date (${version})`);
+        return;
+    }
+    if (current !== out) fs.writeFileSync(OUT_FILE, out);
+    console.log(`sw-manifest.js: ${shell.length} app files, ${decks.length} decks, version ${version}`);
+}
+
+main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
@@ -1,89 +1,68 @@
 #!/usr/bin/env node
 /**
- * enrich-vocab.js — Add ex2 (inflected example) + note (abbreviation expansion) to all vocab files
+ * enrich-vocab.js — Fill missing deck fields with an LLM, as a reviewable report
  *
  * Usage:
- *   ANTHROPIC_API_KEY=sk-ant-xxx node scripts/enrich-vocab.js
- *   ANTHROPIC_API_KEY=sk-ant-xxx node scripts/enrich-vocab.js --file pet   # single file
- *   ANTHROPIC_API_KEY=sk-ant-xxx node scripts/enrich-vocab.js --dry-run    # no API calls, mock only
+ *   ANTHROPIC_API_KEY=sk-ant-xxx node scripts/enrich-vocab.js                 # every deck in data/decks.json
+ *   node scripts/enrich-vocab.js --deck ielts,biz --fields ipa,collocations   # some decks / fields
+ *   GEMINI_API_KEY=xxx node scripts/enrich-vocab.js --backend gemini
+ *   node scripts/enrich-vocab.js --backend fixture --deck crypto --limit 10   # offline, canned answers
+ *   node scripts/enrich-vocab.js --apply scripts/.enrich-report.json          # write reviewed changes
  *
- * Output: data/ files are updated in-place (originals backed up as .bak)
- * Progress: saved to scripts/.enrich-progress.json — re-run is safe (skips done words)
+ * Options:
+ *   --fields   comma-separated field generators (default ipa,ex,ex2,note); see enrich/fields.js
+ *   --backend  anthropic (default), gemini or fixture; see enrich/backends.js
+ *   --fixture  answers file for the fixture backend (default scripts/fixtures/enrich-fixture.json)
+ *   --limit    at most this many entries per deck
+ *   --report   report path without extension (default scripts/.enrich-report)
+ *   --progress progress file (default scripts/.enrich-progress.json)
+ *
+ * Only entries that lack a field are sent, and every value is validated
+ * before it is kept (an example must contain the headword, IPA must be
+ * slashed, …). Nothing in data/ is touched: the run writes <report>.json and
+ * a readable <report>.md listing each change and each rejected value. Delete
+ * unwanted changes from the .json, then --apply it; a change is skipped if
+ * the entry changed since the report was made.
+ *
+ * Progress: saved to scripts/.enrich-progress.json (--progress) — re-run is safe (skips
+ * values already accepted); --apply clears it for the decks it writes.
  */
 
 const fs   = require('fs');
 const path = require('path');
-
-const API_KEY  = process.env.ANTHROPIC_API_KEY;
-const DRY_RUN  = process.argv.includes('--dry-run');
-const FILE_ARG = (() => { const i = process.argv.indexOf('--file'); return i !== -1 ? process.argv[i+1] : null; })();
-
-if (!API_KEY && !DRY_RUN) {
-    console.error('ERROR: Set ANTHROPIC_API_KEY env var.\nExample: ANTHROPIC_API_KEY=sk-ant-xxx node scripts/enrich-vocab.js');
-    process.exit(1);
+const { readManifest } = require('../api/decks');
+const { FIELD_GENERATORS } = require('./enrich/fields');
+const { createBackend, shownPath } = require('./enrich/backends');
+
+const ROOT          = path.join(__dirname, '..');
+const SCHEMA_FILE   = path.join(ROOT, 'data', 'deck-entry.schema.json');
+const BATCH_SIZE    = 20;  // words per API call
+const DELAY_MS      = 600; // ms between batches to stay within rate limits
+
+const args = process.argv.slice(2);
+function option(name, fallback) {
+    const i = args.indexOf('--' + name);
+    return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
 }
-
-const ROOT        = path.join(__dirname, '..');
-const DATA_DIR    = path.join(ROOT, 'data');
-const PROGRESS_FILE = path.join(__dirname, '.enrich-progress.json');
-const BATCH_SIZE  = 20;  // words per API call
-const DELAY_MS    = 600; // ms between batches to stay within rate limits
-
-// ── File config ──────────────────────────────────────────────────────────────
-const FILES = [
-    {
-        id:   'pet',
-        file: path.join(DATA_DIR, 'pet-words-1000.json'),
-        mode: 'full',       // generate both ex AND ex2 (no existing examples)
-    },
-    {
-        id:   'daily',
-        file: path.join(DATA_DIR, 'daily-words-1000.json'),
-        mode: 'ex2only',    // already has ex, only add ex2
-    },
-    {
-        id:   'crypto',
-        file: path.join(DATA_DIR, 'crypto-words-1000.json'),
-        mode: 'ex2note',    // add ex2 + note for abbreviations
-    },
-];
+const DECK_ARG    = option('deck', null);
+const FIELDS      = option('fields', 'ipa,ex,ex2,note').split(',').map(f => f.trim()).filter(Boolean);
+const BACKEND_ARG = option('backend', 'anthropic');
+const LIMIT       = Number(option('limit', 0)) || Infinity;
+const REPORT_BASE = path.resolve(option('report', path.join(__dirname, '.enrich-report')).replace(/\.(json|md)$/, ''));
+const PROGRESS_FILE = path.resolve(option('progress', path.join(__dirname, '.enrich-progress.json')));
+const APPLY_FILE  = option('apply', null);
 
 // ── Load/save progress ───────────────────────────────────────────────────────
+// { deckId: { word: { field: { value } | { error, value } } } }
 function loadProgress() {
     try { return JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf8')); } catch { return {}; }
 }
 function saveProgress(p) {
+    fs.mkdirSync(path.dirname(PROGRESS_FILE), { recursive: true });
     fs.writeFileSync(PROGRESS_FILE, JSON.stringify(p, null, 2));
 }
 
-// ── Anthropic API call ───────────────────────────────────────────────────────
-async function callClaude(prompt) {
-    if (DRY_RUN) {
-        // Return mock data for testing
-        return '[{"word":"mock","ex":"Mock sentence.","ex2":"The mock data was generated quickly."}]';
-    }
-    const res = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-            'x-api-key': API_KEY,
-            'anthropic-version': '2023-06-01',
-            'content-type': 'application/json',
-        },
-        body: JSON.stringify({
-            model: 'claude-haiku-4-5-20251001',
-            max_tokens: 4096,
-            messages: [{ role: 'user', content: prompt }],
-        }),
-    });
-    if (!res.ok) {
-        const body = await res.text();
-        throw new Error(`API ${res.status}: ${body.slice(0, 200)}`);
-    }
-    const data = await res.json();
-    return data.content[0].text;
-}
-
-// ── Parse Claude's JSON response robustly ───────────────────────────────────
+// ── Parse the model's JSON response robustly ─────────────────────────────────
 function parseJSON(text) {
     // Strip markdown code fences if present
     const cleaned = text.replace(/^```(?:json)?\s*/m, '').replace(/\s*```\s*$/m, '').trim();
@@ -94,89 +73,64 @@ function parseJSON(text) {
     return JSON.parse(cleaned.slice(start, end + 1));
 }
 
-// ── Build prompt for each mode ───────────────────────────────────────────────
-function buildPrompt(batch, mode) {
-    const wordList = batch.map(w => {
-        const parts = [`${w.word} | ${w.zh}`];
-        if (w.pos) parts.push(w.pos);
-        if (w.ex)  parts.push(`existing_ex: "${w.ex}"`);
+// ── Build the prompt for one batch ───────────────────────────────────────────
+function buildPrompt(deck, batch, fields) {
+    const wordList = batch.map(({ entry, missing }) => {
+        const parts = [entry.word, entry.zh];
+        if (entry.pos) parts.push(entry.pos);
+        if (entry.ex)  parts.push(`existing_ex: "${entry.ex}"`);
+        parts.push(`fill: ${missing.join(', ')}`);
         return parts.join(' | ');
     }).join('\n');
+    const format = '{"word":"..."' + fields.map(f => `,"${f}":...`).join('') + '}';
 
-    if (mode === 'full') {
-        return `You are writing example sentences for an English vocabulary learning app (PET level).
-For each word, produce TWO sentences in English:
-1. "ex": A short, simple sentence using the BASE form of the word. Clear and direct.
-2. "ex2": A natural sentence using an INFLECTED form (plural, past tense, 3rd-person -s, -ing, comparative, etc.). Slightly more complex.
+    return `You are enriching entries of an English vocabulary learning app (deck: ${deck.name.en}).
+For each word, produce only the fields listed after "fill:":
+${fields.map(f => '- ' + FIELD_GENERATORS[f].instruction).join('\n')}
 
 Rules:
-- Sentences should be realistic and contextually natural
-- Keep sentences under 20 words each
-- Do NOT use the Chinese translation in the sentence
+- Use the meaning given by the Chinese translation and part of speech
+- Do NOT use Chinese in any field
 - Return ONLY a JSON array, no other text
 
-Format: [{"word":"...","ex":"...","ex2":"..."},...]
+Format: [${format},...]
 
-Words (word | Chinese | part-of-speech):
+Words (word | Chinese | part-of-speech | existing example | fields to fill):
 ${wordList}`;
-    }
-
-    if (mode === 'ex2only') {
-        return `You are writing example sentences for an English vocabulary learning app (daily conversational phrases).
-For each word/phrase, produce ONE sentence in English:
-1. "ex2": A natural sentence where the word/phrase appears in a realistic, slightly complex context — using an inflected or extended form when possible (e.g., past tense, progressive, with adverbials, embedded in a longer sentence).
-
-Rules:
-- The sentence should feel natural and conversational
-- Keep it under 22 words
-- Return ONLY a JSON array, no other text
-
-Format: [{"word":"...","ex2":"..."},...]
-
-Words (word | Chinese | existing example):
-${wordList}`;
-    }
-
-    if (mode === 'ex2note') {
-        return `You are writing example sentences for an English vocabulary learning app (crypto/finance).
-For each term, produce:
-1. "ex2": A natural English sentence using an INFLECTED or extended form (past tense, plural, participial phrase, etc.). Can include realistic crypto/finance context.
-2. "note": ONLY if the word is an abbreviation or acronym (e.g. DeFi, NFT, PoW, DAO, HODL, CEX), write the full English expansion in the format "short for [Full Name]". Leave "note" empty string "" for regular words.
-
-Rules:
-- Sentences under 22 words
-- note should be concise: "short for Decentralized Finance" not a full definition
-- Return ONLY a JSON array, no other text
-
-Format: [{"word":"...","ex2":"...","note":"..."},...]
+}
 
-Words (word | Chinese | existing example):
-${wordList}`;
+// ── Validate one returned value ──────────────────────────────────────────────
+function judge(field, value, entry) {
+    if (value === undefined) return { error: 'not returned' };
+    try {
+        return { value: FIELD_GENERATORS[field].validate(value, entry) };
+    } catch (e) {
+        return { error: e.message, value };
     }
-
-    throw new Error(`Unknown mode: ${mode}`);
 }
 
-// ── Process one file ─────────────────────────────────────────────────────────
-async function processFile(config, progress) {
-    console.log(`\n── ${config.id.toUpperCase()} (${config.mode}) ──`);
-    const words = JSON.parse(fs.readFileSync(config.file, 'utf8'));
-    const done  = progress[config.id] || {};
+function isAccepted(answer) { return !!answer && !answer.error; }
 
-    // Find words that still need enrichment
-    const todo = words.filter(w => !done[w.word]);
-    console.log(`  ${words.length} total, ${Object.keys(done).length} done, ${todo.length} remaining`);
+// ── Process one deck ─────────────────────────────────────────────────────────
+async function processDeck(deck, backend, progress) {
+    console.log(`\n── ${deck.id.toUpperCase()} (${deck.file}) ──`);
+    const words = JSON.parse(fs.readFileSync(path.join(ROOT, deck.file), 'utf8'));
+    const done  = progress[deck.id] = progress[deck.id] || {};
 
-    if (todo.length === 0) {
-        console.log('  Already complete!');
-        return words;
+    const todo = [];
+    for (const entry of words) {
+        // Rejected answers are asked again; accepted ones wait for --apply
+        const missing = FIELDS.filter(f => FIELD_GENERATORS[f].needed(entry) && !isAccepted((done[entry.word] || {})[f]));
+        if (missing.length) todo.push({ entry, missing });
+        if (todo.length >= LIMIT) break;
     }
+    console.log(`  ${words.length} total, ${todo.length} to enrich`);
 
-    // Process in batches
-    const enriched = { ...done };
+    const failed = [];
     let batchNum = 0;
     for (let i = 0; i < todo.length; i += BATCH_SIZE) {
-        const batch = todo.slice(i, i + BATCH_SIZE);
+        const batch  = todo.slice(i, i + BATCH_SIZE);
+        const fields = FIELDS.filter(f => batch.some(t => t.missing.includes(f)));
         batchNum++;
         const total = Math.ceil(todo.length / BATCH_SIZE);
         process.stdout.write(`  Batch ${batchNum}/${total} (words ${i+1}–${Math.min(i+BATCH_SIZE, todo.length)})... `);
@@ -184,21 +138,27 @@ async function processFile(config, progress) {
         let attempts = 0;
         while (attempts < 3) {
             try {
-                const prompt   = buildPrompt(batch, config.mode);
-                const response = await callClaude(prompt);
-                const results  = parseJSON(response);
-
-                // Merge results
-                for (const r of results) {
-                    if (r.word) enriched[r.word] = r;
+                const prompt   = buildPrompt(deck, batch, fields);
+                const response = await backend.complete(prompt, batch.map(t => t.entry), fields);
+                const results  = new Map(parseJSON(response).filter(r => r && r.word).map(r => [r.word, r]));
+
+                let rejected = 0;
+                for (const { entry, missing } of batch) {
+                    const r = results.get(entry.word) || {};
+                    const out = done[entry.word] = done[entry.word] || {};
+                    for (const f of missing) {
+                        out[f] = judge(f, r[f], entry);
+                        if (out[f].error) rejected++;
+                    }
                 }
-                console.log('OK');
+                console.log(rejected ? `OK (${rejected} rejected)` : 'OK');
                 break;
             } catch (e) {
                 attempts++;
                 if (attempts >= 3) {
                     console.log(`FAILED after 3 attempts: ${e.message}`);
                     // Continue with next batch rather than crashing
+                    failed.push({ deck: deck.id, words: batch.map(t => t.entry.word), error: e.message });
                 } else {
                     console.log(`  Retry ${attempts}/3 (${e.message.slice(0, 60)})...`);
                     await sleep(2000 * attempts);
@@ -207,58 +167,153 @@ async function processFile(config, progress) {
         }
 
         // Save progress after each batch
-        progress[config.id] = enriched;
         saveProgress(progress);
 
         if (i + BATCH_SIZE < todo.length) await sleep(DELAY_MS);
     }
 
-    // Merge enriched data back into words array
-    const updated = words.map(w => {
-        const e = enriched[w.word];
-        if (!e) return w;
-        const out = { ...w };
-        if (e.ex  && !out.ex)  out.ex   = e.ex;
-        if (e.ex2)              out.ex2  = e.ex2;
-        if (e.note)             out.note = e.note;
-        return out;
-    });
-
-    return updated;
+    return { words, failed };
+}
+
+// ── Report ───────────────────────────────────────────────────────────────────
+/** Changes and rejections for `deck` from the saved answers, in deck order. */
+function collect(deck, words, done) {
+    const changes = [];
+    const rejected = [];
+    for (const entry of words) {
+        const answers = done[entry.word];
+        if (!answers) continue;
+        for (const f of FIELDS) {
+            const a = answers[f];
+            if (!a || !FIELD_GENERATORS[f].needed(entry)) continue;
+            if (a.error) rejected.push({ deck: deck.id, word: entry.word, field: f, value: a.value, reason: a.error });
+            // An empty answer (e.g. note for a regular word) means nothing to add
+            else if (a.value !== '') changes.push({ deck: deck.id, word: entry.word, field: f, before: entry[f], after: a.value });
+        }
+    }
+    return { changes, rejected };
+}
+
+function show(v) {
+    if (v === undefined || v === '') return '_(empty)_';
+    return '`' + (Array.isArray(v) ? v.join('; ') : String(v)).replace(/`/g, "'") + '`';
+}
+
+function writeReport(report) {
+    fs.mkdirSync(path.dirname(REPORT_BASE), { recursive: true });
+    fs.writeFileSync(REPORT_BASE + '.json', JSON.stringify(report, null, 2));
+
+    const lines = [
+        '# Enrichment report',
+        '',
+        `${report.created} · backend: ${report.backend} · fields: ${report.fields.join(', ')}`,
+        '',
+        `${report.changes.length} changes, ${report.rejected.length} rejected, ${report.failed.length} failed batches.`,
+        `Review, delete unwanted changes from ${path.basename(REPORT_BASE)}.json, then run:`,
+        '',
+        '    node scripts/enrich-vocab.js --apply ' + shownPath(REPORT_BASE + '.json'),
+    ];
+    for (const id of Object.keys(report.decks)) {
+        const changes = report.changes.filter(c => c.deck === id);
+        const rejected = report.rejected.filter(r => r.deck === id);
+        if (!changes.length && !rejected.length) continue;
+        lines.push('', `## ${id} (${report.decks[id].file})`);
+        if (changes.length) {
+            lines.push('', '### Changes', '');
+            for (const c of changes) lines.push(`- **${c.word}** · ${c.field}: ${show(c.before)} → ${show(c.after)}`);
+        }
+        if (rejected.length) {
+            lines.push('', '### Rejected', '');
+            for (const r of rejected) lines.push(`- **${r.word}** · ${r.field}: ${show(r.value)} — ${r.reason}`);
+        }
+    }
+    if (report.failed.length) {
+        lines.push('', '## Failed batches', '');
+        for (const f of report.failed) lines.push(`- ${f.deck}: ${f.words.join(', ')} — ${f.error}`);
+    }
+    fs.writeFileSync(REPORT_BASE + '.md', lines.join('\n') + '\n');
+}
+
+// ── Apply a reviewed report ──────────────────────────────────────────────────
+/** Rebuild an entry with its keys in schema order (unknown keys last). */
+function orderKeys(entry, order) {
+    const out = {};
+    for (const k of order) if (k in entry) out[k] = entry[k];
+    for (const k of Object.keys(entry)) if (!(k in out)) out[k] = entry[k];
+    return out;
+}
+
+async function apply(file) {
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const decks  = new Map((await readManifest()).map(d => [d.id, d]));
+    const order  = Object.keys(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')).properties);
+    const progress = loadProgress();
+
+    for (const id of [...new Set(report.changes.map(c => c.deck))]) {
+        const deck = decks.get(id);
+        if (!deck) { console.log(`  ${id}: not in data/decks.json — skipped`); continue; }
+        const target = path.join(ROOT, deck.file);
+        const raw    = fs.readFileSync(target, 'utf8');
+        const words  = JSON.parse(raw);
+        const index  = new Map(words.map((w, i) => [w.word, i]));
+
+        let applied = 0;
+        const stale = [];
+        for (const c of report.changes.filter(c => c.deck === id)) {
+            const i = index.get(c.word);
+            if (i === undefined || !FIELD_GENERATORS[c.field]
+                || JSON.stringify(words[i][c.field]) !== JSON.stringify(c.before)) {
+                stale.push(`${c.word}.${c.field}`);
+                continue;
+            }
+            words[i] = orderKeys({ ...words[i], [c.field]: c.after }, order);
+            applied++;
+        }
+        fs.writeFileSync(target, JSON.stringify(words, null, 2) + (raw.endsWith('\n') ? '\n' : ''));
+        delete progress[id];
+        console.log(`  ${id}: ${applied} applied${stale.length ? `, ${stale.length} skipped (entry changed): ${stale.join(', ')}` : ''}`);
+    }
+    saveProgress(progress);
+    console.log('\nDone! Run `npm run validate:decks` and bump the deck version in data/decks.json.');
 }
 
 // ── Main ─────────────────────────────────────────────────────────────────────
 async function main() {
     console.log('VocabLoop — vocabulary enrichment script');
-    console.log(`Mode: ${DRY_RUN ? 'DRY RUN (no API calls)' : 'LIVE'}`);
-    if (FILE_ARG) console.log(`Single file: ${FILE_ARG}`);
+    if (APPLY_FILE) return apply(path.resolve(APPLY_FILE));
 
-    const progress = loadProgress();
-    const targets  = FILE_ARG ? FILES.filter(f => f.id === FILE_ARG) : FILES;
+    const unknown = FIELDS.filter(f => !FIELD_GENERATORS[f]);
+    if (unknown.length) {
+        console.error(`Unknown field(s): ${unknown.join(', ')}. Options: ${Object.keys(FIELD_GENERATORS).join(', ')}`);
+        process.exit(1);
+    }
 
-    if (targets.length === 0) {
-        console.error(`No file matched --file ${FILE_ARG}. Options: pet, daily, crypto`);
+    const manifest = await readManifest();
+    const ids      = DECK_ARG ? DECK_ARG.split(',') : manifest.map(d => d.id);
+    const targets  = manifest.filter(d => ids.includes(d.id));
+    if (targets.length !== ids.length) {
+        console.error(`No deck matched --deck ${DECK_ARG}. Options: ${manifest.map(d => d.id).join(', ')}`);
         process.exit(1);
     }
 
-    for (const config of targets) {
-        const updated = await processFile(config, progress);
+    const backend = createBackend(BACKEND_ARG, { fixture: option('fixture', null) });
+    console.log(`Backend: ${backend.name}`);
+    console.log(`Fields: ${FIELDS.join(', ')}`);
 
-        // Backup original and write updated
-        const bakPath = config.file + '.bak';
-        if (!fs.existsSync(bakPath)) {
-            fs.copyFileSync(config.file, bakPath);
-            console.log(`  Backed up to ${path.basename(bakPath)}`);
-        }
-        fs.writeFileSync(config.file, JSON.stringify(updated, null, 2) + '\n');
-        console.log(`  Saved ${config.file.split('/').pop()}`);
+    const progress = loadProgress();
+    const report = { created: new Date().toISOString(), backend: backend.name, fields: FIELDS, decks: {}, changes: [], rejected: [], failed: [] };
+    for (const deck of targets) {
+        const { words, failed } = await processDeck(deck, backend, progress);
+        const { changes, rejected } = collect(deck, words, progress[deck.id]);
+        report.decks[deck.id] = { file: deck.file, version: deck.version };
+        report.changes.push(...changes);
+        report.rejected.push(...rejected);
+        report.failed.push(...failed);
     }
 
-    console.log('\nDone! Review the .bak files if you need to revert.');
-    if (!DRY_RUN) {
-        fs.unlinkSync(PROGRESS_FILE);
-        console.log('Progress file cleaned up.');
-    }
+    writeReport(report);
+    console.log(`\n${report.changes.length} changes, ${report.rejected.length} rejected, ${report.failed.length} failed batches.`);
+    console.log(`Review ${shownPath(REPORT_BASE + '.md')}, then apply with --apply ${shownPath(REPORT_BASE + '.json')}`);
 }
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
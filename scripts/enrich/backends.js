@@ -0,0 +1,107 @@
+/**
+ * enrich/backends.js — LLM backends for the enrichment pipeline
+ *
+ * A backend is { name, async complete(prompt, batch, fields) } resolving to
+ * the model's raw text, which should hold a JSON array of
+ * { word, <field>: value } objects. `batch` and `fields` are passed along so
+ * the fixture backend can answer without a model.
+ *
+ *   anthropic — ANTHROPIC_API_KEY (model: ENRICH_MODEL, default claude-haiku-4-5-20251001)
+ *   gemini    — GEMINI_API_KEY    (model: ENRICH_MODEL, default gemini-2.5-flash)
+ *   fixture   — answers from a local JSON file ({ word: { field: value } }), for
+ *               offline runs and tests; words it does not know come back empty
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const ROOT            = path.join(__dirname, '..', '..');
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'fixtures', 'enrich-fixture.json');
+
+/** A path as printed: relative inside the repo, absolute outside it (not "../../tmp/…") */
+function shownPath(file) {
+    const rel = path.relative(ROOT, path.resolve(file));
+    return rel.startsWith('..') || path.isAbsolute(rel) ? path.resolve(file) : rel;
+}
+
+function requireEnv(name, backend) {
+    const value = process.env[name];
+    if (!value) throw new Error(`Set ${name} to use the ${backend} backend (or pass --backend fixture)`);
+    return value;
+}
+
+async function postJson(url, headers, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+    if (!res.ok) {
+        const text = await res.text();
+        throw new Error(`API ${res.status}: ${text.slice(0, 200)}`);
+    }
+    return res.json();
+}
+
+const BACKENDS = {
+    anthropic() {
+        const key = requireEnv('ANTHROPIC_API_KEY', 'anthropic');
+        const model = process.env.ENRICH_MODEL || 'claude-haiku-4-5-20251001';
+        return {
+            name: `anthropic (${model})`,
+            async complete(prompt) {
+                const data = await postJson('https://api.anthropic.com/v1/messages', {
+                    'x-api-key': key,
+                    'anthropic-version': '2023-06-01',
+                }, {
+                    model,
+                    max_tokens: 4096,
+                    messages: [{ role: 'user', content: prompt }],
+                });
+                return data.content[0].text;
+            },
+        };
+    },
+
+    gemini() {
+        const key = requireEnv('GEMINI_API_KEY', 'gemini');
+        const model = process.env.ENRICH_MODEL || 'gemini-2.5-flash';
+        return {
+            name: `gemini (${model})`,
+            async complete(prompt) {
+                const data = await postJson(
+                    `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${key}`, {}, {
+                        contents: [{ parts: [{ text: prompt }] }],
+                        generationConfig: { maxOutputTokens: 4096, temperature: 0.4, thinkingConfig: { thinkingBudget: 0 } },
+                    });
+                const parts = (((data.candidates || [])[0] || {}).content || {}).parts || [];
+                return parts.map(p => p.text || '').join('');
+            },
+        };
+    },
+
+    fixture({ fixture } = {}) {
+        const file = fixture || process.env.ENRICH_FIXTURE || DEFAULT_FIXTURE;
+        const answers = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return {
+            name: `fixture (${shownPath(file)})`,
+            async complete(prompt, batch, fields) {
+                return JSON.stringify(batch.map(entry => {
+                    const known = answers[entry.word] || {};
+                    const out = { word: entry.word };
+                    for (const f of fields) if (f in known) out[f] = known[f];
+                    return out;
+                }));
+            },
+        };
+    },
+};
+
+/** Instantiate a backend by name; throws for unknown names or missing keys. */
+function createBackend(name, options) {
+    const make = BACKENDS[name];
+    if (!make) throw new Error(`Unknown backend "${name}". Options: ${Object.keys(BACKENDS).join(', ')}`);
+    return make(options);
+}
+
+module.exports = { BACKENDS, createBackend, shownPath };
@@ -0,0 +1,125 @@
+/**
+ * enrich/fields.js — Field generators for the enrichment pipeline
+ *
+ * Each generator describes one deck-entry field:
+ *   instruction   — what the model should write (one line of the batch prompt)
+ *   needed(entry) — whether the entry still lacks the field
+ *   validate(value, entry) — cleaned value, or throws with the reason it was rejected
+ *
+ * Add a field by adding a generator here and the property to
+ * data/deck-entry.schema.json.
+ */
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+const MAX_SENTENCE_WORDS = 25;
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether `text` contains the headword — exactly (what the cloze question
+ * needs) or, with `inflected`, with a regular ending on each word
+ * ("take off" → "took off" is not regular and does not count).
+ */
+function mentionsHeadword(text, word, { inflected = false } = {}) {
+    const t = String(text || '').toLowerCase();
+    const w = word.toLowerCase();
+    if (t.includes(w)) return true;
+    if (!inflected) return false;
+    const parts = w.split(/\s+/).map(p => escapeRegExp(p.replace(/(e|y)$/, '')) + '[a-z]*');
+    return new RegExp('\\b' + parts.join('\\s+') + '\\b').test(t);
+}
+
+function isEmpty(v) {
+    return v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+}
+
+function cleanString(value, field) {
+    if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+    const s = value.replace(/\s+/g, ' ').trim();
+    if (!s) throw new Error(`${field} is empty`);
+    return s;
+}
+
+function cleanSentence(value, entry, field, inflected) {
+    const s = cleanString(value, field);
+    if (/[\u3400-\u9fff]/.test(s)) throw new Error(`${field} contains Chinese`);
+    if (s.split(' ').length > MAX_SENTENCE_WORDS) throw new Error(`${field} is longer than ${MAX_SENTENCE_WORDS} words`);
+    if (!mentionsHeadword(s, entry.word, { inflected })) {
+        throw new Error(`${field} does not contain "${entry.word}"${inflected ? ' or a regular inflection' : ''}`);
+    }
+    return s;
+}
+
+function cleanList(value, field, check) {
+    if (!Array.isArray(value)) throw new Error(`${field} must be an array`);
+    const seen = new Set();
+    const out = [];
+    for (const item of value) {
+        const s = cleanString(item, field);
+        check(s);
+        if (!seen.has(s.toLowerCase())) { seen.add(s.toLowerCase()); out.push(s); }
+    }
+    if (!out.length) throw new Error(`${field} is empty`);
+    return out.slice(0, 6);
+}
+
+const FIELD_GENERATORS = {
+    ipa: {
+        instruction: '"ipa": British IPA between slashes, e.g. "/əˈkʌmplɪʃ/"',
+        needed: e => isEmpty(e.ipa),
+        validate(value) {
+            const s = cleanString(value, 'ipa');
+            if (!/^\/[^/]+\/$/.test(s)) throw new Error('ipa must be wrapped in slashes');
+            if (/[A-Z0-9]/.test(s)) throw new Error('ipa contains letters that are not IPA');
+            return s;
+        },
+    },
+    ex: {
+        instruction: '"ex": a short, natural sentence (under 20 words) containing the word exactly as written',
+        needed: e => isEmpty(e.ex),
+        validate: (value, entry) => cleanSentence(value, entry, 'ex', false),
+    },
+    ex2: {
+        instruction: '"ex2": a second, slightly richer sentence using an inflected form where one exists (plural, past tense, -ing, …)',
+        needed: e => isEmpty(e.ex2),
+        validate: (value, entry) => cleanSentence(value, entry, 'ex2', true),
+    },
+    note: {
+        instruction: '"note": for abbreviations and acronyms only, "short for <Full Name>"; "" for every other word',
+        needed: e => e.note === undefined,
+        validate(value) {
+            if (value === '' || value === null) return '';
+            const s = cleanString(value, 'note');
+            if (s.length > 120) throw new Error('note is longer than 120 characters');
+            return s;
+        },
+    },
+    synonyms: {
+        instruction: '"synonyms": 1–4 English synonyms or near-synonyms with the same part of speech',
+        needed: e => isEmpty(e.synonyms),
+        validate: (value, entry) => cleanList(value, 'synonyms', s => {
+            if (s.toLowerCase() === entry.word.toLowerCase()) throw new Error('synonyms repeat the headword');
+            if (!/^[a-z][a-z' -]*$/i.test(s)) throw new Error(`synonym "${s}" is not an English word or phrase`);
+        }),
+    },
+    collocations: {
+        instruction: '"collocations": 2–4 common collocations, each containing the word (e.g. "make a decision")',
+        needed: e => isEmpty(e.collocations),
+        validate: (value, entry) => cleanList(value, 'collocations', s => {
+            if (!mentionsHeadword(s, entry.word, { inflected: true })) throw new Error(`collocation "${s}" does not contain "${entry.word}"`);
+        }),
+    },
+    cefr: {
+        instruction: `"cefr": the CEFR level of this meaning, one of ${CEFR_LEVELS.join(', ')}`,
+        needed: e => isEmpty(e.cefr),
+        validate(value) {
+            const s = cleanString(value, 'cefr').toUpperCase();
+            if (!CEFR_LEVELS.includes(s)) throw new Error(`cefr must be one of ${CEFR_LEVELS.join(', ')}`);
+            return s;
+        },
+    },
+};
+
+module.exports = { FIELD_GENERATORS, CEFR_LEVELS, mentionsHeadword };
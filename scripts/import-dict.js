@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * import-dict.js — Load the English dictionary behind /api/dict into the database
+ *
+ * Usage:
+ *   node scripts/import-dict.js           # replace the dictionary tables (local SQLite or TURSO_DATABASE_URL)
+ *   node scripts/import-dict.js --check   # parse the sources and print counts, write nothing
+ *
+ * Sources (dev dependencies, both freely redistributable):
+ *   wordnet-db   — Princeton WordNet 3.1: every synset with its definition,
+ *                  example sentences and member words, and for each lemma its
+ *                  senses in WordNet's frequency order
+ *   wink-lexicon — WordNet's exception lists (went → go, mice → mouse,
+ *                  better → good); regular inflections are undone by
+ *                  api/dict.js at lookup time
+ *
+ * Tables (created by migration 9 in api/db.js):
+ *   dict_synsets  id, pos, definition, examples, words (JSON arrays)
+ *   dict_senses   lemma, sense (0 = most common across all parts of speech), synset, antonyms
+ *   dict_forms    irregular form → lemma
+ * and config.dict_source, which /api/dict checks before answering — it is
+ * cleared while an import runs, so clients fall back to the Free Dictionary API
+ * instead of seeing half-loaded tables.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const CHECK = process.argv.slice(2).includes('--check');
+const BATCH = 500;
+
+const POS_FILES = { n: 'noun', v: 'verb', a: 'adj', r: 'adv' };
+const POS_ORDER = ['n', 'v', 'a', 'r'];  // tie-break between parts of speech used equally often
+const SOURCE    = 'WordNet 3.1 (wordnet-db ' + require('wordnet-db').libVersion + ')';
+
+const clean = w => w.replace(/\([a-z]+\)$/, '').replace(/_/g, ' ');  // drop adjective markers like good(a)
+
+// ── WordNet data files ───────────────────────────────────────────────────────
+/** Definition and example sentences of a gloss: `definition; "example"; "example"` */
+function splitGloss(gloss) {
+    const examples = [...gloss.matchAll(/"([^"]+)"/g)].map(m => m[1].trim()).filter(Boolean);
+    const q = gloss.indexOf('"');
+    const definition = (q === -1 ? gloss : gloss.slice(0, q)).trim().replace(/[;:,\s]+$/, '');
+    return { definition, examples };
+}
+
+/** synset key (pos file letter + offset) → { pos, words, definition, examples, antonyms } */
+function readSynsets(dir) {
+    const synsets = new Map();
+    for (const [p, file] of Object.entries(POS_FILES)) {
+        for (const line of fs.readFileSync(path.join(dir, 'data.' + file), 'utf8').split('\n')) {
+            if (!line || line.startsWith('  ')) continue;
+            const bar = line.indexOf(' | ');
+            const f = (bar === -1 ? line : line.slice(0, bar)).trim().split(' ');
+            const gloss = bar === -1 ? '' : line.slice(bar + 3).trim();
+            const wCnt = parseInt(f[3], 16);
+            const words = [];
+            for (let i = 0; i < wCnt; i++) words.push(clean(f[4 + i * 2]));
+            let k = 4 + wCnt * 2;
+            const pCnt = parseInt(f[k++], 10);
+            const antonyms = [];  // [source word index or -1, target key, target word index]
+            for (let i = 0; i < pCnt; i++, k += 4) {
+                if (f[k] !== '!') continue;
+                const st = f[k + 3];
+                const tp = f[k + 2] === 's' ? 'a' : f[k + 2];
+                antonyms.push([parseInt(st.slice(0, 2), 16) - 1, tp + f[k + 1], parseInt(st.slice(2), 16) - 1]);
+            }
+            synsets.set(p + f[0], { pos: p, words, antonyms, ...splitGloss(gloss) });
+        }
+    }
+    return synsets;
+}
+
+/** lemma → [{ pos, tagged, keys: [synset key…] }] from the index files */
+function readIndex(dir) {
+    const index = new Map();
+    for (const [p, file] of Object.entries(POS_FILES)) {
+        for (const line of fs.readFileSync(path.join(dir, 'index.' + file), 'utf8').split('\n')) {
+            if (!line || line.startsWith('  ')) continue;
+            const f = line.trim().split(' ');
+            const synsetCnt = parseInt(f[2], 10);
+            const k = 4 + parseInt(f[3], 10);
+            const tagged = parseInt(f[k + 1], 10);
+            const keys = f.slice(k + 2, k + 2 + synsetCnt).map(o => p + o);
+            const lemma = clean(f[0]);
+            if (!index.has(lemma)) index.set(lemma, []);
+            index.get(lemma).push({ pos: p, tagged, keys });
+        }
+    }
+    return index;
+}
+
+// ── Rows ─────────────────────────────────────────────────────────────────────
+function senseRows(index, synsets) {
+    const rows = [];
+    for (const [lemma, groups] of index) {
+        // The part of speech seen most often in the tagged corpus comes first
+        groups.sort((a, b) => b.tagged - a.tagged || POS_ORDER.indexOf(a.pos) - POS_ORDER.indexOf(b.pos));
+        let sense = 0;
+        for (const g of groups) {
+            for (const key of g.keys) {
+                const s = synsets.get(key);
+                if (!s) continue;
+                const own = s.words.findIndex(w => w.toLowerCase() === lemma);
+                const antonyms = [...new Set(s.antonyms
+                    .filter(([src]) => src === -1 || src === own)
+                    .map(([, tKey, ti]) => synsets.has(tKey) && synsets.get(tKey).words[ti])
+                    .filter(Boolean))];
+                rows.push([lemma, sense++, key, antonyms.length ? JSON.stringify(antonyms) : null]);
+            }
+        }
+    }
+    return rows;
+}
+
+function formRows(index) {
+    const rows = new Map();
+    for (const kind of ['noun', 'verb', 'adjective']) {
+        const exceptions = require(`wink-lexicon/src/wn-${kind}-exceptions.js`);
+        for (const [form, lemma] of Object.entries(exceptions)) {
+            const f = clean(form), l = clean(lemma);
+            if (f !== l && index.has(l)) rows.set(f + '\t' + l, [f, l]);
+        }
+    }
+    return [...rows.values()];
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+async function insertAll(batch, sql, rows) {
+    for (let i = 0; i < rows.length; i += BATCH) {
+        await batch(rows.slice(i, i + BATCH).map(args => ({ sql, args })), 'write');
+        process.stdout.write(`\r  ${Math.min(i + BATCH, rows.length)} / ${rows.length}`);
+    }
+    process.stdout.write('\n');
+}
+
+async function main() {
+    const dir      = require('wordnet-db').path;
+    const synsets  = readSynsets(dir);
+    const index    = readIndex(dir);
+    const senses   = senseRows(index, synsets);
+    const forms    = formRows(index);
+    console.log(`${SOURCE}: ${synsets.size} synsets, ${index.size} lemmas, ${senses.length} senses, ${forms.length} irregular forms`);
+    if (CHECK) return;
+
+    const { batch, execute } = require('../api/db');
+    // Unset first, so /api/dict reports "not loaded" rather than answering from half the tables
+    await batch([
+        { sql: 'DELETE FROM config WHERE key = ?', args: ['dict_source'] },
+        'DELETE FROM dict_senses', 'DELETE FROM dict_synsets', 'DELETE FROM dict_forms',
+    ], 'write');
+
+    console.log('dict_synsets');
+    await insertAll(batch, 'INSERT INTO dict_synsets (id, pos, definition, examples, words) VALUES (?, ?, ?, ?, ?)',
+        [...synsets].map(([id, s]) => [id, s.pos, s.definition, JSON.stringify(s.examples), JSON.stringify(s.words)]));
+    console.log('dict_senses');
+    await insertAll(batch, 'INSERT INTO dict_senses (lemma, sense, synset, antonyms) VALUES (?, ?, ?, ?)', senses);
+    console.log('dict_forms');
+    await insertAll(batch, 'INSERT INTO dict_forms (form, lemma) VALUES (?, ?)', forms);
+
+    await execute('INSERT INTO config (key, value) VALUES (?, ?)', ['dict_source', SOURCE]);
+    console.log('Done.');
+}
+
+main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
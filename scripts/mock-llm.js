@@ -0,0 +1,84 @@
+/**
+ * mock-llm.js — Canned stand-ins for the Gemini-backed API routes
+ *
+ * Used by `node server.js --mock-llm` so the reading overlay and account
+ * insights work offline without GEMINI_API_KEY. Request validation and
+ * response shapes match api/reading.js and api/insight.js; the content is a
+ * fixed template with the requested words filled in.
+ */
+
+const { withRateLimit } = require('../api/ratelimit');
+
+const LATENCY_MS = 400; // enough to see the loading states
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** POST /api/reading — a short story that uses every requested word */
+async function reading(req, res) {
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { words } = req.body || {};
+  if (!Array.isArray(words) || words.length === 0) {
+    return res.status(400).json({ error: 'Missing or empty words array' });
+  }
+  if (words.length > 30) {
+    return res.status(400).json({ error: 'Too many words (max 30)' });
+  }
+  if (!words.every(w => w && typeof w.word === 'string' && typeof w.zh === 'string')) {
+    return res.status(400).json({ error: 'Each word must have { word, zh }' });
+  }
+  await delay(LATENCY_MS);
+
+  const sentences = [
+    { en: 'Mia opened her notebook at the small café by the station.', zh: '米娅在车站旁的小咖啡馆里打开了笔记本。' },
+    ...words.map(w => ({
+      en: `She wrote the word "${w.word}" and smiled, because today it finally made sense.`,
+      zh: `她写下了“${w.word}”（${w.zh}）这个词，笑了，因为今天她终于明白了它的意思。`,
+    })),
+    { en: 'When the train arrived, she closed the notebook, ready for tomorrow.', zh: '火车到站时，她合上笔记本，为明天做好了准备。' },
+  ];
+  const first = sentences.slice(0, Math.ceil(sentences.length / 2));
+  const rest  = sentences.slice(first.length);
+  return res.status(200).json({
+    title: 'The Notebook at the Station (mock)',
+    text: [first, rest].map(part => part.map(s => s.en).join(' ')).join('\n\n'),
+    sentences,
+    glosses: { notebook: '笔记本', station: '车站' },
+  });
+}
+
+/** POST /api/insight — fixed summary and tips built from the submitted stats */
+async function insight(req, res) {
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const d = req.body || {};
+  if (typeof d.studied !== 'number') {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  await delay(LATENCY_MS);
+
+  const isZh = d.lang === 'zh';
+  const hard = (d.difficultWords || []).map(w => w.word).slice(0, 3).join(', ');
+  return res.status(200).json(isZh ? {
+    summary: `（模拟数据）你已学习 ${d.studied} 个单词，掌握 ${d.mastered || 0} 个，连续学习 ${d.streak || 0} 天。`,
+    suggestions: [
+      '每天固定时间复习，先清空到期卡片再学新词。',
+      hard ? `重点复习这些易忘词：${hard}。` : '保持现在的节奏，逐步增加每日新词。',
+      '用阅读模式在语境中巩固本轮单词。',
+    ],
+  } : {
+    summary: `(Mock data) You have studied ${d.studied} words, mastered ${d.mastered || 0}, with a ${d.streak || 0}-day streak.`,
+    suggestions: [
+      'Review at the same time each day and clear due cards before adding new ones.',
+      hard ? `Give extra attention to words you keep forgetting: ${hard}.` : 'Keep this pace and add new words gradually.',
+      'Use reading mode to see this round\'s words in context.',
+    ],
+  });
+}
+
+module.exports = {
+  reading: withRateLimit('reading', reading),
+  insight: withRateLimit('insight', insight),
+};
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * tag-levels.js — Tag deck entries with a frequency rank and CEFR level
+ *
+ * Usage:
+ *   node scripts/tag-levels.js                # every deck in data/decks.json
+ *   node scripts/tag-levels.js --deck ielts   # one deck (the placement bank still uses all)
+ *   node scripts/tag-levels.js --check        # print the level spread, write nothing
+ *
+ * freq — rank of the headword in SUBTLEX-US, word frequencies from film and TV
+ *        subtitles (the subtlex-word-frequencies dev dependency; 1 = most
+ *        frequent). A phrase takes the rank of its rarest word; British
+ *        spellings fall back to the American form. Words outside the list
+ *        (mostly jargon and acronyms) get no rank.
+ * cefr — kept when already set (e.g. by `enrich-vocab.js --fields cefr`),
+ *        otherwise estimated from the rank with FREQ_BANDS. A phrase is
+ *        rarer than its rarest word, so each further content word multiplies
+ *        the rank used for the estimate by PHRASE_FACTOR.
+ *
+ * Also rebuilds data/placement.json, the word bank of the in-app placement
+ * test: PLACEMENT_PER_LEVEL single words per CEFR level, drawn from all decks.
+ * Bump the version of every rewritten deck in data/decks.json afterwards.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { readManifest } = require('../api/decks');
+const { CEFR_LEVELS } = require('./enrich/fields');
+
+const ROOT           = path.join(__dirname, '..');
+const PLACEMENT_FILE = path.join(ROOT, 'data', 'placement.json');
+
+// Highest rank of each level A1…C1; anything rarer is C2
+const FREQ_BANDS = [1000, 3000, 6000, 12000, 30000];
+const PHRASE_FACTOR = 4;
+const FUNCTION_WORD_RANK = 100;  // words this frequent do not count towards PHRASE_FACTOR
+const PLACEMENT_PER_LEVEL = 12;
+
+const args     = process.argv.slice(2);
+const CHECK    = args.includes('--check');
+const DECK_ARG = (() => { const i = args.indexOf('--deck'); return i !== -1 ? args[i + 1] : null; })();
+
+// ── Frequency ranks ──────────────────────────────────────────────────────────
+function loadRanks() {
+    const ranks = new Map();
+    require('subtlex-word-frequencies').forEach((e, i) => {
+        const w = e.word.toLowerCase();
+        if (!ranks.has(w)) ranks.set(w, i + 1);
+    });
+    return ranks;
+}
+
+/** American spellings to try when the British one is not in the list */
+function spellings(w) {
+    return [w,
+        w.replace(/is(e|ed|es|ing|ation|ations)$/, 'iz$1'),
+        w.replace(/ys(e|ed|es|ing)$/, 'yz$1'),
+        w.replace(/our(s|ed|ing|able|ite)?$/, 'or$1'),
+        w.replace(/tre(s)?$/, 'ter$1'),
+        w.replace(/ogue(s)?$/, 'og$1'),
+    ];
+}
+
+/** Ranks of the words of a headword, or null if any is not in the list */
+function ranksOf(word, ranks) {
+    const parts = word.toLowerCase().replace(/'(s|ve|re|ll|d|t|m)\b/g, '').split(/[^a-z]+/).filter(Boolean);
+    if (!parts.length) return null;
+    const out = parts.map(p => spellings(p).map(s => ranks.get(s)).find(Boolean));
+    return out.every(Boolean) ? out : null;
+}
+
+function levelOf(wordRanks) {
+    const content = wordRanks.filter(r => r > FUNCTION_WORD_RANK).length;
+    const rank = Math.max(...wordRanks) * PHRASE_FACTOR ** Math.max(0, content - 1);
+    const i = FREQ_BANDS.findIndex(max => rank <= max);
+    return CEFR_LEVELS[i === -1 ? CEFR_LEVELS.length - 1 : i];
+}
+
+// ── Placement bank ───────────────────────────────────────────────────────────
+/** Cheap stable hash, so the bank only changes when the decks do */
+function hash(s) {
+    let h = 2166136261;
+    for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+    return h >>> 0;
+}
+
+function buildPlacement(entries) {
+    const seen = new Set();
+    const items = [];
+    for (const level of CEFR_LEVELS) {
+        const pool = entries
+            .filter(e => e.cefr === level && /^[a-z]+$/.test(e.word) && e.word.length > 2 && e.zh)
+            .filter(e => !seen.has(e.word))
+            .sort((a, b) => hash(a.word) - hash(b.word));
+        for (const e of pool.slice(0, PLACEMENT_PER_LEVEL)) {
+            seen.add(e.word);
+            items.push({ word: e.word, zh: e.zh, cefr: level });
+        }
+    }
+    return { version: 1, perLevel: PLACEMENT_PER_LEVEL, items };
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+async function main() {
+    const ranks    = loadRanks();
+    const manifest = await readManifest();
+    if (DECK_ARG && !manifest.some(d => d.id === DECK_ARG)) {
+        console.error(`No deck matched --deck ${DECK_ARG}. Options: ${manifest.map(d => d.id).join(', ')}`);
+        process.exit(1);
+    }
+
+    const all = [];
+    for (const deck of manifest) {
+        const file  = path.join(ROOT, deck.file);
+        const raw   = fs.readFileSync(file, 'utf8');
+        const words = JSON.parse(raw);
+        const tag   = !DECK_ARG || deck.id === DECK_ARG;
+        const spread = {};
+        let unranked = 0;
+
+        const tagged = words.map(e => {
+            if (!tag) return e;
+            const out = { ...e };
+            const wordRanks = ranksOf(e.word, ranks);
+            delete out.freq;
+            if (!out.cefr && wordRanks) out.cefr = levelOf(wordRanks);
+            if (wordRanks) out.freq = Math.max(...wordRanks); else unranked++;
+            return out;
+        });
+        all.push(...tagged);
+        if (!tag) continue;
+
+        for (const e of tagged) spread[e.cefr || '—'] = (spread[e.cefr || '—'] || 0) + 1;
+        const order = [...CEFR_LEVELS, '—'].filter(l => spread[l]);
+        console.log(`${deck.id.padEnd(8)} ${order.map(l => `${l} ${spread[l]}`).join(' · ')}  (${unranked} unranked)`);
+
+        const out = JSON.stringify(tagged, null, 2) + (raw.endsWith('\n') ? '\n' : '');
+        if (!CHECK && out !== raw) fs.writeFileSync(file, out);
+    }
+
+    const placement = buildPlacement(all);
+    console.log(`placement: ${placement.items.length} words`);
+    if (!CHECK) fs.writeFileSync(PLACEMENT_FILE, JSON.stringify(placement, null, 2));
+}
+
+main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * validate-decks.js — Lint the deck files in data/ before they ship
+ *
+ * Usage:
+ *   node scripts/validate-decks.js                    # every deck in data/decks.json
+ *   node scripts/validate-decks.js --deck crypto      # one registered deck (cross-deck checks still see all)
+ *   node scripts/validate-decks.js path/to/new.json   # also check unregistered files
+ *   node scripts/validate-decks.js --json             # machine-readable report on stdout
+ *   node scripts/validate-decks.js --strict           # warnings fail the run too
+ *   node scripts/validate-decks.js --verbose          # list every warning, not a summary
+ *
+ * Checks:
+ *   errors   — manifest problems, entries violating data/deck-entry.schema.json,
+ *              the same headword twice in one deck, and overlap with a deck
+ *              listed in the manifest's `disjointFrom`
+ *   warnings — headwords differing only by case, `pos` parts missing from
+ *              POS_ZH in index.html, examples without the headword (no cloze
+ *              question possible), missing or unslashed IPA, and JSON files in
+ *              data/ that are not registered
+ *
+ * The report also counts the headwords each pair of decks shares.
+ * Exit status: 0 clean, 1 errors (or warnings with --strict), 2 bad usage.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const ROOT        = path.join(__dirname, '..');
+const DATA_DIR    = path.join(ROOT, 'data');
+const SCHEMA_FILE = path.join(DATA_DIR, 'deck-entry.schema.json');
+const NOT_DECKS   = new Set(['decks.json', 'deck-entry.schema.json', 'placement.json']);
+
+const args    = process.argv.slice(2);
+const JSON_OUT = args.includes('--json');
+const STRICT   = args.includes('--strict');
+const VERBOSE  = args.includes('--verbose');
+const DECK_ARG = (() => { const i = args.indexOf('--deck'); return i !== -1 ? args[i + 1] : null; })();
+const EXTRA    = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--deck');
+
+// ── JSON Schema (the subset the entry schema uses) ───────────────────────────
+function typeOf(v) {
+    if (Array.isArray(v)) return 'array';
+    if (v === null) return 'null';
+    if (Number.isInteger(v)) return 'integer';
+    return typeof v;
+}
+
+/** Validate `value` against `schema`; returns a list of "path: problem" strings. */
+function checkSchema(value, schema, at = '') {
+    const problems = [];
+    const where = at || '(entry)';
+    if (schema.type) {
+        const t = typeOf(value);
+        const ok = schema.type === t || (schema.type === 'number' && t === 'integer');
+        if (!ok) return [`${where}: expected ${schema.type}, got ${t}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) problems.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${where}: must not be empty`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${where}: longer than ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) problems.push(`${where}: does not match ${schema.pattern}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${where}: below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${where}: above ${schema.maximum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => problems.push(...checkSchema(item, schema.items, `${at}[${i}]`)));
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push(`${at ? at + '.' : ''}${key}: required`);
+        }
+        for (const [key, v] of Object.entries(value)) {
+            const sub = (schema.properties || {})[key];
+            if (sub) problems.push(...checkSchema(v, sub, at ? `${at}.${key}` : key));
+            else if (schema.additionalProperties === false) problems.push(`${at ? at + '.' : ''}${key}: unknown field`);
+        }
+    }
+    return problems;
+}
+
+// ── Reference data ───────────────────────────────────────────────────────────
+/** Keys of POS_ZH in index.html — the part-of-speech labels the app can translate. */
+function loadPosVocabulary() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const m = html.match(/const POS_ZH = (\{[\s\S]*?\n\});/);
+    if (!m) throw new Error('POS_ZH not found in index.html');
+    return new Set(Object.keys(new Function(`return ${m[1]};`)()));
+}
+
+/** Same test as the cloze generator in index.html: ex or ex2 contains the headword. */
+function clozeCompatible(e) {
+    const w = String(e.word || '').toLowerCase();
+    return [e.ex, e.ex2].some(s => typeof s === 'string' && s.toLowerCase().includes(w));
+}
+
+// ── Checks ───────────────────────────────────────────────────────────────────
+function validate() {
+    const issues = [];
+    const add = (level, rule, deck, message, entry) => issues.push({
+        level, rule, deck,
+        ...(entry ? { index: entry.index, word: entry.word } : {}),
+        message,
+    });
+
+    // Manifest
+    let manifest = [];
+    try {
+        const parsed = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'decks.json'), 'utf8'));
+        manifest = Array.isArray(parsed.decks) ? parsed.decks : [];
+        if (!manifest.length) add('error', 'manifest', null, 'data/decks.json lists no decks');
+    } catch (e) {
+        add('error', 'manifest', null, `data/decks.json: ${e.message}`);
+    }
+    const ids = new Set();
+    for (const d of manifest) {
+        if (!d || typeof d.id !== 'string' || !/^[a-z0-9-]+$/.test(d.id)) {
+            add('error', 'manifest', null, `invalid deck id ${JSON.stringify(d && d.id)}`);
+            continue;
+        }
+        if (ids.has(d.id)) add('error', 'manifest', d.id, 'duplicate deck id');
+        ids.add(d.id);
+        if (!d.name || !d.name.en || !d.name.zh) add('error', 'manifest', d.id, 'name needs both en and zh');
+        if (typeof d.file !== 'string' || !d.file.startsWith('data/')) add('error', 'manifest', d.id, 'file must be a path under data/');
+    }
+    for (const d of manifest) {
+        for (const other of (d && d.disjointFrom) || []) {
+            if (!ids.has(other)) add('error', 'manifest', d.id, `disjointFrom names unknown deck "${other}"`);
+        }
+    }
+
+    // Unregistered JSON files in data/
+    const registered = new Set(manifest.map(d => d && d.file));
+    for (const f of fs.readdirSync(DATA_DIR)) {
+        if (f.endsWith('.json') && !NOT_DECKS.has(f) && !registered.has('data/' + f)) {
+            add('warning', 'unregistered', null, `data/${f} is not registered in data/decks.json`);
+        }
+    }
+
+    // Load decks: registered ones plus files given on the command line
+    const targets = [
+        ...manifest.filter(d => d && ids.has(d.id) && typeof d.file === 'string')
+            .map(d => ({ id: d.id, file: path.join(ROOT, d.file), disjointFrom: d.disjointFrom || [] })),
+        ...EXTRA.map(f => ({ id: path.basename(f, '.json'), file: path.resolve(f), disjointFrom: [] })),
+    ];
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    const posVocabulary = loadPosVocabulary();
+    const decks = {};
+
+    for (const t of targets) {
+        let words;
+        try {
+            words = JSON.parse(fs.readFileSync(t.file, 'utf8'));
+        } catch (e) {
+            add('error', 'manifest', t.id, `${path.relative(ROOT, t.file)}: ${e.code === 'ENOENT' ? 'file not found' : e.message}`);
+            continue;
+        }
+        if (!Array.isArray(words)) {
+            add('error', 'schema', t.id, 'deck file must be a JSON array of entries');
+            continue;
+        }
+        decks[t.id] = { ...t, words, checked: !DECK_ARG || DECK_ARG === t.id || EXTRA.length > 0 && !ids.has(t.id) };
+    }
+    if (DECK_ARG && !decks[DECK_ARG]) {
+        add('error', 'manifest', DECK_ARG, 'no such deck');
+    }
+
+    // Per-deck entry checks
+    for (const [id, deck] of Object.entries(decks)) {
+        if (!deck.checked) continue;
+        const exact = new Map();
+        const folded = new Map();
+        deck.words.forEach((e, index) => {
+            const entry = { index, word: e && typeof e.word === 'string' ? e.word : '' };
+            for (const p of checkSchema(e, schema)) add('error', 'schema', id, p, entry);
+            if (!e || typeof e !== 'object' || !entry.word) return;
+
+            if (exact.has(entry.word)) {
+                add('error', 'duplicate', id, `"${entry.word}" already at index ${exact.get(entry.word)}`, entry);
+            } else {
+                exact.set(entry.word, index);
+                const key = entry.word.toLowerCase();
+                if (folded.has(key)) add('warning', 'duplicate-case', id, `differs only by case from index ${folded.get(key)}`, entry);
+                else folded.set(key, index);
+            }
+
+            if (typeof e.pos === 'string' && e.pos.trim()) {
+                const unknown = e.pos.split('/').map(p => p.trim().toLowerCase()).filter(p => p && !posVocabulary.has(p));
+                if (unknown.length) add('warning', 'pos-unknown', id, `pos "${e.pos}": ${unknown.join(', ')} not in POS_ZH`, entry);
+            }
+            if (!clozeCompatible(e)) {
+                add('warning', 'cloze', id, (e.ex || e.ex2) ? 'no example contains the headword' : 'no example sentence', entry);
+            }
+            if (!e.ipa) add('warning', 'ipa-missing', id, 'no IPA', entry);
+            else if (typeof e.ipa === 'string' && !/^\/[^/]+\/$/.test(e.ipa)) add('warning', 'ipa-format', id, `IPA "${e.ipa}" should be wrapped in slashes`, entry);
+        });
+    }
+
+    // Cross-deck overlap
+    const headwords = {};
+    for (const [id, deck] of Object.entries(decks)) {
+        headwords[id] = new Set(deck.words.filter(e => e && typeof e.word === 'string').map(e => e.word.toLowerCase()));
+    }
+    const overlaps = [];
+    const deckIds = Object.keys(decks);
+    for (let i = 0; i < deckIds.length; i++) {
+        for (let j = i + 1; j < deckIds.length; j++) {
+            const a = deckIds[i], b = deckIds[j];
+            const shared = [...headwords[a]].filter(w => headwords[b].has(w));
+            if (shared.length) overlaps.push({ decks: [a, b], count: shared.length, words: shared.sort() });
+        }
+    }
+    for (const [id, deck] of Object.entries(decks)) {
+        if (!deck.checked) continue;
+        for (const other of deck.disjointFrom) {
+            const o = overlaps.find(x => x.decks.includes(id) && x.decks.includes(other));
+            if (!o) continue;
+            for (const word of o.words) {
+                add('error', 'overlap', id, `"${word}" is also in ${other}, which this deck must not overlap`, { index: undefined, word });
+            }
+        }
+    }
+
+    const errors = issues.filter(x => x.level === 'error').length;
+    const warnings = issues.length - errors;
+    return {
+        ok: errors === 0 && (!STRICT || warnings === 0),
+        errors,
+        warnings,
+        decks: Object.fromEntries(Object.entries(decks).map(([id, d]) => [id, { file: path.relative(ROOT, d.file), count: d.words.length, checked: d.checked }])),
+        overlaps,
+        issues,
+    };
+}
+
+// ── Output ───────────────────────────────────────────────────────────────────
+function where(x) {
+    return [x.deck, x.index !== undefined ? `#${x.index}` : '', x.word ? `"${x.word}"` : ''].filter(Boolean).join(' ');
+}
+
+function printReport(report) {
+    for (const [id, d] of Object.entries(report.decks)) {
+        console.log(`${d.checked ? '✓' : '·'} ${id.padEnd(10)} ${String(d.count).padStart(5)} entries  ${d.file}`);
+    }
+
+    const errors = report.issues.filter(x => x.level === 'error');
+    if (errors.length) {
+        console.log(`\nErrors (${errors.length}):`);
+        for (const x of errors) console.log(`  [${x.rule}] ${where(x)}: ${x.message}`);
+    }
+
+    const warnings = report.issues.filter(x => x.level === 'warning');
+    if (warnings.length) {
+        console.log(`\nWarnings (${warnings.length}):`);
+        const byRule = {};
+        for (const x of warnings) (byRule[x.rule] = byRule[x.rule] || []).push(x);
+        for (const [rule, list] of Object.entries(byRule)) {
+            const shown = VERBOSE ? list : list.slice(0, 5);
+            console.log(`  ${rule}: ${list.length}`);
+            for (const x of shown) console.log(`    ${where(x)}: ${x.message}`);
+            if (shown.length < list.length) console.log(`    … ${list.length - shown.length} more (--verbose)`);
+        }
+    }
+
+    if (report.overlaps.length) {
+        console.log('\nShared headwords between decks:');
+        for (const o of report.overlaps) console.log(`  ${o.decks.join(' ∩ ')}: ${o.count}`);
+    }
+
+    console.log(`\n${report.ok ? 'OK' : 'FAILED'} — ${report.errors} error(s), ${report.warnings} warning(s)${STRICT ? ' (strict)' : ''}`);
+}
+
+function main() {
+    if (args.includes('--deck') && !DECK_ARG) {
+        console.error('Usage: node scripts/validate-decks.js [--deck <id>] [--json] [--strict] [--verbose] [files…]');
+        process.exit(2);
+    }
+    const report = validate();
+    if (JSON_OUT) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+    process.exit(report.ok ? 0 : 1);
+}
+
+if (require.main === module) {
+    try { main(); } catch (e) { console.error('Fatal:', e.message); process.exit(2); }
+}
+
+module.exports = { checkSchema, clozeCompatible, loadPosVocabulary };
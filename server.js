@@ -1,16 +1,26 @@
 /**
  * server.js — Local development server for VocabLoop
  *
- * Serves static files + API endpoints, matching Vercel's function routing.
+ * Serves static files + API endpoints, matching Vercel's function routing:
+ * every file in api/ whose default export is a function is mounted at
+ * /api/<path> (index.js → its directory, [param].js → a path parameter copied
+ * into req.query). Helper modules (db.js, token.js, …) export objects and are
+ * skipped, as are files starting with `_`.
  *
  * Usage:
  *   node server.js              # default port 3000
  *   PORT=8080 node server.js    # custom port
+ *   node server.js --mock-llm   # canned reading/insight responses, no GEMINI_API_KEY
+ *                               # (or MOCK_LLM=1)
  */
 
 const express = require('express');
+const fs      = require('fs');
 const path    = require('path');
 
+const API_DIR  = path.join(__dirname, 'api');
+const MOCK_LLM = process.argv.includes('--mock-llm') || !!process.env.MOCK_LLM;
+
 const app = express();
 
 /* ── Security headers ─────────────────────────────────────────────── */
@@ -37,9 +47,42 @@ app.use((req, res, next) => {
 /* ── Body parsing with size limit ─────────────────────────────────── */
 app.use(express.json({ limit: '2mb' }));
 
-/* ── API routes ───────────────────────────────────────────────────── */
-app.post('/api/auth', require('./api/auth'));
-app.post('/api/sync', require('./api/sync'));
+/* ── API routes (auto-discovered, Vercel-style) ───────────────────── */
+
+/** List [route, file] pairs for every .js file under dir */
+function discoverRoutes(dir, prefix = '/api') {
+  const routes = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    // Vercel dynamic segments: [id] → :id
+    const segment = entry.name.replace(/\.js$/, '').replace(/^\[(\w+)\]$/, ':$1');
+    if (entry.isDirectory()) {
+      routes.push(...discoverRoutes(full, `${prefix}/${segment}`));
+    } else if (entry.name.endsWith('.js')) {
+      routes.push([segment === 'index' ? prefix : `${prefix}/${segment}`, full]);
+    }
+  }
+  // Static segments before dynamic ones, as Vercel resolves them
+  return routes.sort((a, b) => a[0].includes(':') - b[0].includes(':'));
+}
+
+// LLM-backed routes answered with canned data in mock mode
+const mocks = MOCK_LLM ? require('./scripts/mock-llm') : {};
+
+for (const [route, file] of discoverRoutes(API_DIR)) {
+  const mock = mocks[route.slice('/api/'.length)];
+  const handler = mock || require(file);
+  if (typeof handler !== 'function') continue;
+  app.all(route, (req, res) => {
+    Object.assign(req.query, req.params);
+    return handler(req, res);
+  });
+  console.log(`[api] ${route}${mock ? '  (mock)' : ''}`);
+}
+
+// Unknown API paths get JSON, not the SPA fallback
+app.all('/api/*', (req, res) => res.status(404).json({ ok: false, message: 'Not found' }));
 
 /* ── Static files ─────────────────────────────────────────────────── */
 app.use(express.static(path.join(__dirname)));
@@ -53,4 +96,5 @@ app.get('*', (req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`VocabLoop server running at http://localhost:${PORT}`);
+  if (MOCK_LLM) console.log('Mock LLM mode: /api/reading and /api/insight return canned data');
 });
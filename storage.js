@@ -0,0 +1,274 @@
+// VocabLoop storage – learning state in IndexedDB, shared by index.html and account.html
+//
+// Deck progress is kept as one record per word (plus one record of deck
+// totals), so saving after an answer writes only the words that changed and
+// no longer has to fit a whole deck into one localStorage string. Global
+// state and reading history live in the `kv` store.
+//
+// Everything is loaded into memory once (`VocabStore.ready`); reads are then
+// synchronous and writes go to IndexedDB in the background. The first load
+// moves the old `srs_<deck>_v1`, `srs_global_v1` and `reading_history`
+// localStorage keys over and deletes them. Without IndexedDB (some private
+// modes) the same API reads and writes those localStorage keys instead, and
+// keeps only the newest LOCAL_READING_MAX stories so they fit its small quota.
+//
+// A write that fails (storage full) leaves the in-memory copy ahead of the
+// stored one: the deck's words are written again with its next save, and
+// `idle()` rejects with the error so the page can say progress was not saved.
+(function () {
+  const DB_NAME = 'vocabloop';
+  const GLOBAL_KEY = 'srs_global_v1';
+  const READING_KEY = 'reading_history';
+  const deckKey = id => 'srs_' + id + '_v1';
+  const DECK_KEY_RE = /^srs_(.+)_v1$/;
+  const LOCAL_READING_MAX = 30;   // stories kept in the localStorage fallback
+
+  let db = null;                  // null → localStorage fallback
+  const decks = new Map();        // deck id → { meta, words: Map(word → JSON string) }
+  let global = null;
+  let reading = [];
+  const waiting = [];             // writes made before the load finished
+  let writing = Promise.resolve(); // settles once every write so far has committed
+  let failure = null;             // error of the latest failed write, until idle() reports it
+  const unsaved = new Map();      // deck id → words whose last write failed
+
+  function req(r) {
+    return new Promise((resolve, reject) => {
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+      const r = indexedDB.open(DB_NAME, 1);
+      r.onupgradeneeded = () => {
+        r.result.createObjectStore('words', { keyPath: ['deck', 'word'] }).createIndex('deck', 'deck');
+        r.result.createObjectStore('decks', { keyPath: 'id' });
+        r.result.createObjectStore('kv');
+      };
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * Run fn(tx) in one readwrite transaction over every store; resolves when it
+   * commits or fails. On failure onFail() runs and idle() rejects with the error.
+   */
+  function write(fn, onFail) {
+    if (!db) return Promise.resolve();
+    const done = new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'decks', 'kv'], 'readwrite');
+      fn(tx);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    }).catch(e => {
+      failure = e || new Error('IndexedDB write failed');
+      if (onFail) onFail();
+    });
+    writing = Promise.all([writing, done]);
+    return done;
+  }
+
+  function readLegacy(key) {
+    try { return JSON.parse(localStorage.getItem(key)); } catch (e) { return null; }
+  }
+
+  function legacyDeckIds() {
+    const ids = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const m = DECK_KEY_RE.exec(localStorage.key(i) || '');
+      if (m && localStorage.key(i) !== GLOBAL_KEY) ids.push(m[1]);
+    }
+    return ids;
+  }
+
+  function splitDeck(d) {
+    const meta = Object.assign({}, d);
+    delete meta.state;
+    return meta;
+  }
+
+  function remember(id, d) {
+    const words = new Map();
+    for (const [word, s] of Object.entries(d.state || {})) words.set(word, JSON.stringify(s));
+    decks.set(id, { meta: splitDeck(d), words });
+  }
+
+  /** Copy the localStorage keys into IndexedDB, then free them */
+  async function migrate() {
+    const legacy = legacyDeckIds().map(id => [id, readLegacy(deckKey(id))]).filter(([, d]) => d && typeof d === 'object');
+    const g = readLegacy(GLOBAL_KEY);
+    const history = readLegacy(READING_KEY);
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'decks', 'kv'], 'readwrite');
+      for (const [id, d] of legacy) {
+        tx.objectStore('decks').put(Object.assign(splitDeck(d), { id }));
+        for (const [word, s] of Object.entries(d.state || {})) tx.objectStore('words').put({ deck: id, word, s });
+      }
+      if (g) tx.objectStore('kv').put(g, 'global');
+      if (Array.isArray(history)) tx.objectStore('kv').put(history, 'reading');
+      tx.objectStore('kv').put(Date.now(), 'migrated');
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    for (const [id] of legacy) localStorage.removeItem(deckKey(id));
+    localStorage.removeItem(GLOBAL_KEY);
+    localStorage.removeItem(READING_KEY);
+  }
+
+  async function loadIdb() {
+    db = await openDb();
+    const tx = () => db.transaction(['words', 'decks', 'kv'], 'readonly');
+    if (!(await req(tx().objectStore('kv').get('migrated')))) await migrate();
+    const t = tx();
+    const [metas, words, g, history] = await Promise.all([
+      req(t.objectStore('decks').getAll()),
+      req(t.objectStore('words').getAll()),
+      req(t.objectStore('kv').get('global')),
+      req(t.objectStore('kv').get('reading')),
+    ]);
+    for (const m of metas) {
+      const meta = Object.assign({}, m);
+      delete meta.id;
+      decks.set(m.id, { meta, words: new Map() });
+    }
+    for (const r of words) {
+      if (!decks.has(r.deck)) decks.set(r.deck, { meta: {}, words: new Map() });
+      decks.get(r.deck).words.set(r.word, JSON.stringify(r.s));
+    }
+    global = g || null;
+    reading = Array.isArray(history) ? history : [];
+  }
+
+  function loadLocal() {
+    db = null;
+    decks.clear();
+    for (const id of legacyDeckIds()) {
+      const d = readLegacy(deckKey(id));
+      if (d && typeof d === 'object') remember(id, d);
+    }
+    global = readLegacy(GLOBAL_KEY);
+    const history = readLegacy(READING_KEY);
+    reading = Array.isArray(history) ? history : [];
+  }
+
+  let loaded = false;
+  const ready = loadIdb()
+    .catch(() => { try { loadLocal(); } catch (e) { /* no storage at all — memory only */ } })
+    .then(() => {
+      loaded = true;
+      waiting.splice(0).forEach(fn => fn());
+    });
+
+  function whenLoaded(fn) {
+    if (loaded) fn(); else waiting.push(fn);
+  }
+
+  function saveLocal(key, value) {
+    try {
+      if (value === null) localStorage.removeItem(key);
+      else localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) { failure = e; }  // quota or private mode — idle() reports it
+  }
+
+  /** Deck progress { state, points, pointsBy, streak, autoPlay }, or null if never saved */
+  function getDeck(id) {
+    const d = decks.get(id);
+    if (!d) return null;
+    const state = {};
+    for (const [word, s] of d.words) state[word] = JSON.parse(s);
+    return Object.assign({}, JSON.parse(JSON.stringify(d.meta)), { state });
+  }
+
+  /** Save deck progress; only words whose state changed, or whose last write failed, are written */
+  function setDeck(id, deck) {
+    whenLoaded(() => {
+      const prev = decks.get(id) || { meta: {}, words: new Map() };
+      const retry = unsaved.get(id) || new Set();
+      unsaved.delete(id);
+      const words = new Map();
+      const puts = [];
+      for (const [word, s] of Object.entries(deck.state || {})) {
+        const json = JSON.stringify(s);
+        words.set(word, json);
+        if (prev.words.get(word) !== json || retry.has(word)) puts.push({ deck: id, word, s: JSON.parse(json) });
+      }
+      const gone = [...new Set([...prev.words.keys(), ...retry])].filter(w => !words.has(w));
+      const meta = JSON.parse(JSON.stringify(splitDeck(deck)));  // plain copy, not Vue's observed objects
+      decks.set(id, { meta, words });
+      if (!db) return saveLocal(deckKey(id), deck);
+      write(tx => {
+        tx.objectStore('decks').put(Object.assign({}, meta, { id }));
+        for (const r of puts) tx.objectStore('words').put(r);
+        for (const w of gone) tx.objectStore('words').delete([id, w]);
+      }, () => {
+        // Memory already holds these states, so the next save would not see them as changed
+        const again = unsaved.get(id) || new Set();
+        for (const r of puts) again.add(r.word);
+        for (const w of gone) again.add(w);
+        unsaved.set(id, again);
+      });
+    });
+  }
+
+  function removeDeck(id) {
+    whenLoaded(() => {
+      const prev = decks.get(id);
+      decks.delete(id);
+      if (!db) return saveLocal(deckKey(id), null);
+      if (!prev) return;
+      write(tx => {
+        tx.objectStore('decks').delete(id);
+        for (const w of prev.words.keys()) tx.objectStore('words').delete([id, w]);
+      });
+    });
+  }
+
+  function getGlobal() {
+    return global ? JSON.parse(JSON.stringify(global)) : null;
+  }
+
+  function setGlobal(g) {
+    whenLoaded(() => {
+      global = JSON.parse(JSON.stringify(g));
+      if (!db) return saveLocal(GLOBAL_KEY, global);
+      write(tx => tx.objectStore('kv').put(global, 'global'));
+    });
+  }
+
+  /** Reading history, newest first, valid entries only */
+  function getReadingHistory() {
+    return JSON.parse(JSON.stringify(reading)).filter(e => e && typeof e.text === 'string' && Array.isArray(e.words));
+  }
+
+  function setReadingHistory(list) {
+    whenLoaded(() => {
+      reading = JSON.parse(JSON.stringify(list));
+      if (!db) {
+        reading = reading.slice(0, LOCAL_READING_MAX);
+        return saveLocal(READING_KEY, reading);
+      }
+      write(tx => tx.objectStore('kv').put(reading, 'reading'));
+    });
+  }
+
+  self.VocabStore = {
+    ready,
+    durable: () => !!db,
+    // Await before leaving the page; rejects if a write failed since the last call
+    idle: () => ready.then(() => writing).then(() => {
+      const e = failure;
+      failure = null;
+      if (e) throw e;
+    }),
+    deckIds: () => [...decks.keys()],
+    getDeck, setDeck, removeDeck,
+    getGlobal, setGlobal,
+    getReadingHistory, setReadingHistory,
+  };
+})();
@@ -0,0 +1,77 @@
+// Generated by scripts/build-sw.js — do not edit; run `npm run build:sw`
+self.PRECACHE_SHELL = [
+  {
+    "url": "./index.html",
+    "hash": "fe9fcc6d7d8bed6d"
+  },
+  {
+    "url": "./account.html",
+    "hash": "924589fdc568fecf"
+  },
+  {
+    "url": "./privacy.html",
+    "hash": "3f5f7e71f85ede7f"
+  },
+  {
+    "url": "./storage.js",
+    "hash": "34a5e5009261eb94"
+  },
+  {
+    "url": "./grading.js",
+    "hash": "8d893af6df279feb"
+  },
+  {
+    "url": "./outbox.js",
+    "hash": "86702a25ff60ece0"
+  },
+  {
+    "url": "./manifest.json",
+    "hash": "4fa00a5c50c5afc7"
+  },
+  {
+    "url": "./icons/favicon-32.png",
+    "hash": "1ef48d003c8a7171"
+  },
+  {
+    "url": "./icons/icon-192.png",
+    "hash": "91a3d5ef0afb381a"
+  },
+  {
+    "url": "./icons/icon-512.png",
+    "hash": "20d48f990faa5d7e"
+  },
+  {
+    "url": "./icons/apple-touch-icon.png",
+    "hash": "30a9417868a99d88"
+  },
+  {
+    "url": "./data/decks.json",
+    "hash": "d30616bbbcbf66d6"
+  },
+  {
+    "url": "./data/placement.json",
+    "hash": "a933e5bd65d983b9"
+  }
+];
+self.PRECACHE_DECKS = [
+  {
+    "url": "./data/pet-words-1000.json",
+    "hash": "d9e0f27572270a5f"
+  },
+  {
+    "url": "./data/daily-words-1000.json",
+    "hash": "bb8b5d6cf0eaaa3e"
+  },
+  {
+    "url": "./data/ielts-words.json",
+    "hash": "eba69c7c2f71addb"
+  },
+  {
+    "url": "./data/crypto-words-1000.json",
+    "hash": "dc9f8fb21e516c4d"
+  },
+  {
+    "url": "./data/biz-words-200.json",
+    "hash": "3b404b3f30e692ff"
+  }
+];
@@ -1,73 +1,219 @@
-// VocabLoop Service Worker – offline-first caching
-const CACHE_NAME = 'vocabloop-v1';
-
-const PRECACHE_URLS = [
-  './',
-  './index.html',
-  './manifest.json',
-  './icons/favicon-32.png',
-  './icons/icon-192.png',
-  './icons/icon-512.png',
-  './icons/apple-touch-icon.png',
-  './data/pet-words-1000.json',
-  './data/daily-words-1000.json',
-  './data/crypto-words-1000.json',
-  './data/ielts-words.json'
-];
-
-// Install: precache core assets
+// VocabLoop Service Worker – offline-first caching and background sync
+//
+// sw-manifest.js (generated by scripts/build-sw.js) lists the app files and
+// decks with content hashes. Editing any of them changes that file, so the
+// browser installs a new worker, which fetches only what changed; it then
+// waits until the app's "new version" prompt asks it to take over.
+importScripts('./outbox.js', './sw-manifest.js');
+
+const PRECACHE      = 'vocabloop-precache';  // app shell, keyed by url?v=hash
+const DECK_CACHE    = 'vocabloop-decks';     // deck files, stale-while-revalidate
+const AUDIO_CACHE   = 'vocabloop-audio';     // pronunciation clips, least recently used dropped first
+const RUNTIME_CACHE = 'vocabloop-runtime';   // CDN scripts and other pages, network-first
+const CACHES = [PRECACHE, DECK_CACHE, AUDIO_CACHE, RUNTIME_CACHE];
+const AUDIO_CACHE_BYTES = 8 * 1024 * 1024;   // total size of the clips kept; they are ~10–20 KB each
+const AUDIO_PACK_PREFIX = 'vocabloop-audio-pack-';  // one cache per deck the user downloaded, never evicted
+const HASH_HEADER = 'x-vocabloop-hash';
+const SIZE_HEADER = 'x-vocabloop-size';      // byte size of a cached clip
+
+const abs = url => new URL(url, self.location).href;
+const versioned = e => abs(e.url + '?v=' + e.hash);
+const SHELL_BY_URL = new Map(self.PRECACHE_SHELL.map(e => [abs(e.url), e]));
+SHELL_BY_URL.set(abs('./'), SHELL_BY_URL.get(abs('./index.html')));
+const DECK_URLS = new Set(self.PRECACHE_DECKS.map(e => abs(e.url)));
+const noCorsOrigins = new Set();             // audio hosts without CORS headers: played, never cached
+
+// Install: fetch app files and decks whose hash is not cached yet
 self.addEventListener('install', event => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(PRECACHE_URLS))
-      .then(() => self.skipWaiting())
-  );
+  event.waitUntil((async () => {
+    // Workers from before the hashed precache cannot show the update prompt — replace them at once
+    const legacy = !(await caches.has(PRECACHE));
+    await Promise.all([precacheShell(), precacheDecks()]);
+    if (legacy) await self.skipWaiting();
+  })());
+});
+
+async function precacheShell() {
+  const cache = await caches.open(PRECACHE);
+  await Promise.all(self.PRECACHE_SHELL.map(async e => {
+    if (!(await cache.match(versioned(e)))) await cache.add(new Request(versioned(e), { cache: 'reload' }));
+  }));
+}
+
+async function precacheDecks() {
+  const cache = await caches.open(DECK_CACHE);
+  await Promise.all(self.PRECACHE_DECKS.map(async e => {
+    const cached = await cache.match(e.url);
+    if (cached && cached.headers.get(HASH_HEADER) === e.hash) return;
+    const res = await fetch(e.url, { cache: 'reload' });
+    if (!res.ok) throw new Error(e.url + ' ' + res.status);
+    const headers = new Headers(res.headers);
+    headers.set(HASH_HEADER, e.hash);
+    await cache.put(e.url, new Response(await res.blob(), { status: res.status, headers }));
+  }));
+}
+
+// The update prompt in the app asks the waiting worker to take over
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
 });
 
-// Activate: clean old caches
+// Activate: drop old caches and app files no longer in the manifest
 self.addEventListener('activate', event => {
-  event.waitUntil(
-    caches.keys().then(keys =>
-      Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k)))
-    ).then(() => self.clients.claim())
-  );
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => !CACHES.includes(k) && !k.startsWith(AUDIO_PACK_PREFIX)).map(k => caches.delete(k)));
+    const cache = await caches.open(PRECACHE);
+    const current = new Set(self.PRECACHE_SHELL.map(versioned));
+    for (const req of await cache.keys()) if (!current.has(req.url)) await cache.delete(req);
+    await self.clients.claim();
+  })());
 });
 
-// Fetch: cache-first for same-origin, network-first for API/CDN
 self.addEventListener('fetch', event => {
-  const url = new URL(event.request.url);
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const href = url.origin + url.pathname;
 
-  // Skip non-GET requests
-  if (event.request.method !== 'GET') return;
+  if (isAudio(request, url)) {
+    event.respondWith(cachedAudio(request).then(res => byteRange(request, res)).catch(() => fetch(request)));
+    return;
+  }
 
-  // Network-first for API calls and external resources
+  // Network-first for API calls and external resources (Vue.js from the CDN etc.)
   if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
-    event.respondWith(
-      fetch(event.request)
-        .then(response => {
-          // Cache successful CDN responses (Vue.js etc.)
-          if (response.ok && url.origin !== self.location.origin) {
-            const clone = response.clone();
-            caches.open(CACHE_NAME).then(cache => cache.put(event.request, clone));
-          }
-          return response;
-        })
-        .catch(() => caches.match(event.request))
-    );
+    event.respondWith(networkFirst(request, url.origin !== self.location.origin));
+    return;
+  }
+
+  const shell = SHELL_BY_URL.get(href);
+  if (shell) {
+    event.respondWith(caches.match(versioned(shell), { cacheName: PRECACHE }).then(cached => cached || fetch(request)));
+    return;
+  }
+
+  // Decks, including ones registered after this build
+  if (DECK_URLS.has(href) || /\/data\/[^/]+\.json$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event));
     return;
   }
 
-  // Cache-first for same-origin static assets
-  event.respondWith(
-    caches.match(event.request).then(cached => {
-      if (cached) return cached;
-      return fetch(event.request).then(response => {
-        if (response.ok) {
-          const clone = response.clone();
-          caches.open(CACHE_NAME).then(cache => cache.put(event.request, clone));
-        }
-        return response;
-      });
-    })
-  );
+  event.respondWith(networkFirst(request, true));
 });
+
+async function networkFirst(request, store) {
+  try {
+    const response = await fetch(request);
+    if (store && response.ok) {
+      const clone = response.clone();
+      caches.open(RUNTIME_CACHE).then(cache => cache.put(request, clone));
+    }
+    return response;
+  } catch (e) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// Answer from the cache at once and refresh it in the background — the next load sees an edited deck
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(DECK_CACHE);
+  const update = fetch(event.request).then(response => {
+    if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+    return response;
+  });
+  event.waitUntil(update.catch(() => {}));
+  return (await cache.match(event.request)) || update;
+}
+
+function isAudio(request, url) {
+  return request.destination === 'audio' || url.pathname.endsWith('.mp3') || url.pathname === '/dictvoice';
+}
+
+// Pronunciation clips: downloaded audio packs first, then the most recently played up to AUDIO_CACHE_BYTES
+async function cachedAudio(request) {
+  const key = request.url;
+  for (const name of await caches.keys()) {
+    if (!name.startsWith(AUDIO_PACK_PREFIX)) continue;
+    const packed = await (await caches.open(name)).match(key);
+    if (packed) return packed;
+  }
+  const cache = await caches.open(AUDIO_CACHE);
+  const cached = await cache.match(key);
+  if (cached) {
+    // Cache keys keep insertion order, so re-adding marks the clip most recently used
+    await cache.put(key, cached.clone());
+    return cached;
+  }
+  // Opaque (no-cors) responses can't be measured and are charged megabytes each against
+  // the storage quota, so only clips readable through CORS are stored
+  const origin = new URL(key).origin;
+  if (noCorsOrigins.has(origin)) return fetch(request);
+  let response;
+  try {
+    // The whole clip, not the media element's byte range, so it can be stored
+    response = await fetch(key, { mode: 'cors', credentials: 'omit' });
+  } catch (e) {
+    if (origin === self.location.origin || !self.navigator.onLine) throw e;
+    noCorsOrigins.add(origin);
+    return fetch(request);
+  }
+  if (!response.ok) return response;
+  const blob = await response.blob();
+  const headers = new Headers(response.headers);
+  headers.set(SIZE_HEADER, String(blob.size));
+  await cache.put(key, new Response(blob, { status: response.status, headers }));
+  await trimAudioCache(cache);
+  return new Response(blob, { status: response.status, headers: response.headers });
+}
+
+// Drop the least recently played clips once the newer ones fill AUDIO_CACHE_BYTES; clips
+// stored without a size (opaque ones from older workers) are dropped as well
+async function trimAudioCache(cache) {
+  const keys = await cache.keys();
+  let total = 0;
+  for (let i = keys.length - 1; i >= 0; i--) {
+    const cached = total <= AUDIO_CACHE_BYTES && await cache.match(keys[i]);
+    total += (cached && Number(cached.headers.get(SIZE_HEADER))) || Infinity;
+    if (total > AUDIO_CACHE_BYTES) await cache.delete(keys[i]);
+  }
+}
+
+// Safari asks for media in byte ranges and refuses a whole clip in reply; opaque clips cannot be cut
+async function byteRange(request, response) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!m || (!m[1] && !m[2]) || response.status !== 200 || response.type === 'opaque') return response;
+  const blob = await response.blob();
+  const start = m[1] ? Number(m[1]) : Math.max(0, blob.size - Number(m[2]));
+  const end = m[1] && m[2] ? Math.min(Number(m[2]), blob.size - 1) : blob.size - 1;
+  if (start > end) return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  const headers = new Headers(response.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), { status: 206, headers });
+}
+
+// Background Sync: push the outbox the page could not send (see outbox.js)
+self.addEventListener('sync', event => {
+  if (event.tag === VocabOutbox.SYNC_TAG) event.waitUntil(flushOutbox());
+});
+
+async function flushOutbox() {
+  const auth = await VocabOutbox.getAuth();
+  // The push token from the page's last sync; when it has run out only the page can renew it
+  if (!auth || (auth.expiresAt && Date.now() > auth.expiresAt - 10000)) return;
+  const result = await VocabOutbox.flush(async data => {
+    const res = await fetch('/api/sync', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ action: 'push', token: auth.token, data })
+    });
+    // Throwing makes the browser retry later; a rejected token is left to the page
+    if (res.status === 429 || res.status >= 500) throw new Error('sync ' + res.status);
+    return res.json();
+  });
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'outbox-flushed', ok: !!result.ok }));
+}
@@ -0,0 +1,48 @@
+/**
+ * test/auth.test.js — /api/auth sessions and rate limits against a scratch SQLite file
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scratchDb, call } = require('./helpers');
+
+scratchDb('auth.db');
+
+const { memoryStore, setStore } = require('../api/ratelimit');
+const auth = require('../api/auth');
+
+test('an unsigned legacy token is never exchanged for a session', async () => {
+  setStore(memoryStore());
+  assert.equal((await call(auth, { action: 'register', username: 'legacyvictim', password: 'secret123' }))[0], 200);
+  const forged = Buffer.from(`legacyvictim:${Date.now()}:abcdef`).toString('base64url');
+  const [status, body] = await call(auth, { action: 'refresh', token: forged });
+  assert.equal(status, 401);
+  assert.equal(body.refreshToken, undefined);
+});
+
+test('refresh tokens rotate', async () => {
+  setStore(memoryStore());
+  const [, login] = await call(auth, { action: 'register', username: 'rotateuser', password: 'secret123' });
+  const [status, next] = await call(auth, { action: 'refresh', refreshToken: login.refreshToken });
+  assert.equal(status, 200);
+  assert.notEqual(next.refreshToken, login.refreshToken);
+});
+
+test('refreshing does not use up the login attempts of a shared IP', async () => {
+  setStore(memoryStore());
+  for (let i = 0; i < 30; i++) {
+    const [status] = await call(auth, { action: 'refresh', refreshToken: 'not-a-token-' + i }, '10.0.0.1');
+    assert.equal(status, 401);
+  }
+  const [status] = await call(auth, { action: 'login', username: 'nobodyhere', password: 'wrongpass' }, '10.0.0.1');
+  assert.notEqual(status, 429);
+});
+
+test('login attempts are still limited per IP', async () => {
+  setStore(memoryStore());
+  let status;
+  for (let i = 0; i < 21; i++) {
+    [status] = await call(auth, { action: 'login', username: 'nobodyhere', password: 'wrongpass' }, '10.0.0.2');
+  }
+  assert.equal(status, 429);
+});
@@ -0,0 +1,53 @@
+/**
+ * test/enrich-vocab.test.js — scripts/enrich-vocab.js end to end with the fixture backend
+ *
+ * Runs the script offline on the first entries of two decks and checks the
+ * report it writes: accepted values, rejected ones with their reason, and the
+ * paths it prints for a report outside the repo.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'enrich-vocab.js');
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vocabloop-test-'));
+const reportBase = path.join(outDir, 'nested', 'report');
+
+test.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+/** Run the script from the temp dir; resolves to stdout */
+function run(...args) {
+  return execFileSync(process.execPath, [SCRIPT, ...args], { cwd: outDir, encoding: 'utf8', timeout: 60000 });
+}
+
+test('the fixture backend produces a report of changes and rejections', () => {
+  const stdout = run(
+    '--backend', 'fixture', '--deck', 'crypto,biz', '--fields', 'ipa,synonyms,collocations,cefr,note',
+    '--limit', '3', '--report', reportBase, '--progress', path.join(outDir, 'progress.json'),
+  );
+  const report = JSON.parse(fs.readFileSync(reportBase + '.json', 'utf8'));
+  assert.match(report.backend, /^fixture \(scripts[\\/]fixtures[\\/]enrich-fixture\.json\)$/);
+  assert.deepEqual(Object.keys(report.decks), ['crypto', 'biz']);
+
+  const change = (word, field) => report.changes.find(c => c.word === word && c.field === field);
+  const rejected = (word, field) => report.rejected.find(r => r.word === word && r.field === field);
+  assert.equal(change('blockchain', 'ipa').after, '/ˈblɒktʃeɪn/');
+  assert.deepEqual(change('subsidiary', 'collocations').after, ['wholly owned subsidiary', 'set up a subsidiary']);
+  assert.match(rejected('hash', 'ipa').reason, /slashes/);
+  assert.match(rejected('hash', 'synonyms').reason, /headword/);
+  assert.match(rejected('IPO', 'cefr').reason, /A1, A2, B1, B2, C1, C2/);
+  assert.equal(change('hash', 'ipa'), undefined);
+
+  const md = fs.readFileSync(reportBase + '.md', 'utf8');
+  assert.match(md, /## crypto/);
+  assert.match(md, /\*\*hash\*\* · ipa: `hæʃ` — ipa must be wrapped in slashes/);
+
+  // Paths outside the repo are printed as they are, not as "../../tmp/…"
+  assert.ok(stdout.includes(`Review ${reportBase}.md, then apply with --apply ${reportBase}.json`));
+  assert.ok(md.includes(`--apply ${reportBase}.json`));
+  assert.ok(!stdout.includes('..' + path.sep));
+});
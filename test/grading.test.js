@@ -0,0 +1,40 @@
+/**
+ * test/grading.test.js — Word forms and past tenses of grading.js
+ *
+ * grading.js is a browser script that sets self.VocabGrading; node gets a
+ * global `self` for it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.self = global;
+require('../grading');
+const { forms, pastTenses, grade } = self.VocabGrading;
+
+test('regular forms follow the spelling rules', () => {
+  assert.deepEqual(forms('stop', [], ['verb']), ['stop', 'stops', 'stopped', 'stopping']);
+  assert.deepEqual(forms('agree', [], ['verb']), ['agree', 'agrees', 'agreed', 'agreeing']);
+  assert.deepEqual(forms('be', [], ['verb']), ['be', 'am', 'is', 'are', 'was', 'were', 'been', 'being']);
+  assert.ok(!forms('give up', [], ['phrase']).includes('gived up'));
+  assert.ok(forms('give up', [], ['phrase']).includes('gave up'));
+});
+
+test('only adjectives take -er and -est', () => {
+  assert.ok(!forms('remind', [], ['verb']).includes('reminder'));
+  assert.deepEqual(forms('big', [], ['adj']), ['big', 'bigger', 'biggest']);
+});
+
+test('the dictionary entry\'s forms replace the guessed -ed forms', () => {
+  const lie = forms('lie', ['lay', 'lain'], ['verb']);
+  assert.ok(lie.includes('lay') && lie.includes('lying'));
+  assert.ok(!lie.includes('lied') && !lie.includes('lieed'));
+});
+
+test('both past tenses are accepted where both are in use', () => {
+  assert.deepEqual(pastTenses('burn'), ['burned', 'burnt']);
+  assert.deepEqual(pastTenses('lean'), ['leaned', 'leant']);
+  const [correct, ...accept] = pastTenses('learn');
+  assert.equal(grade('learnt', { correct, accept }).verdict, 'correct');
+  assert.equal(pastTenses('lie'), null);
+});
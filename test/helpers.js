@@ -0,0 +1,35 @@
+/**
+ * test/helpers.js — Shared setup for the API tests
+ *
+ * scratchDb() must run before the api modules are required: they open the
+ * database named by TURSO_DATABASE_URL when they load.
+ */
+
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** Point TURSO_DATABASE_URL at a SQLite file in a temp dir removed after the tests */
+function scratchDb(name) {
+  const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vocabloop-test-'));
+  process.env.TURSO_DATABASE_URL = 'file:' + path.join(dbDir, name);
+  test.after(() => fs.rmSync(dbDir, { recursive: true, force: true }));
+  return dbDir;
+}
+
+/** Call a handler like the dev server does; resolves to [status, body] */
+function call(handler, body, ip = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      setHeader() {},
+      status(code) { this.statusCode = code; return this; },
+      json(data) { resolve([this.statusCode, data]); },
+    };
+    Promise.resolve(handler({ method: 'POST', body, headers: {}, socket: { remoteAddress: ip } }, res))
+      .catch(reject);
+  });
+}
+
+module.exports = { scratchDb, call };
@@ -0,0 +1,89 @@
+/**
+ * test/storage.test.js — storage.js against fake-indexeddb and a fake localStorage
+ *
+ * storage.js is a browser script that sets self.VocabStore when it runs, so
+ * each case loads a fresh copy ("a reload") over whatever storage is left.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('fake-indexeddb/auto');
+
+global.self = global;
+const realIndexedDB = global.indexedDB;
+
+/** In-memory localStorage; setItem throws once more than `quota` characters are stored */
+function fakeLocalStorage(quota = Infinity) {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: i => [...items.keys()][i] ?? null,
+    getItem: k => (items.has(k) ? items.get(k) : null),
+    setItem(k, v) {
+      const used = [...items].reduce((n, [key, val]) => n + (key === k ? 0 : val.length), 0);
+      if (used + String(v).length > quota) throw new Error('QuotaExceededError');
+      items.set(k, String(v));
+    },
+    removeItem: k => items.delete(k),
+  };
+}
+
+async function load() {
+  delete require.cache[require.resolve('../storage')];
+  require('../storage');
+  await self.VocabStore.ready;
+  return self.VocabStore;
+}
+
+test('words whose write failed are written again with the next save', async () => {
+  global.indexedDB = realIndexedDB;
+  global.localStorage = fakeLocalStorage();
+  let store = await load();
+
+  // The next write of a word record fails as if storage were full
+  const put = IDBObjectStore.prototype.put;
+  let full = true;
+  IDBObjectStore.prototype.put = function (...args) {
+    if (full && this.name === 'words') {
+      this.transaction.abort();
+      throw new Error('QuotaExceededError');
+    }
+    return put.apply(this, args);
+  };
+  try {
+    store.setDeck('pet', { state: { apple: { interval: 3 } }, points: 1 });
+    await assert.rejects(store.idle());
+    full = false;
+    // Only pear changed, but apple never reached the database
+    store.setDeck('pet', { state: { apple: { interval: 3 }, pear: { interval: 1 } }, points: 2 });
+    await store.idle();
+  } finally {
+    IDBObjectStore.prototype.put = put;
+  }
+
+  store = await load();
+  assert.deepEqual(store.getDeck('pet').state, { apple: { interval: 3 }, pear: { interval: 1 } });
+  assert.equal(store.getDeck('pet').points, 2);
+});
+
+test('without IndexedDB the reading history is capped to fit localStorage', async () => {
+  global.indexedDB = undefined;
+  global.localStorage = fakeLocalStorage();
+  const store = await load();
+  assert.equal(store.durable(), false);
+  const stories = Array.from({ length: 45 }, (_, i) => ({ id: 45 - i, text: 'story ' + i, words: [] }));
+  store.setReadingHistory(stories);
+  await store.idle();
+  const saved = JSON.parse(global.localStorage.getItem('reading_history'));
+  assert.equal(saved.length, 30);
+  assert.equal(saved[0].id, 45);
+});
+
+test('a localStorage write over the quota is reported by idle()', async () => {
+  global.indexedDB = undefined;
+  global.localStorage = fakeLocalStorage(100);
+  const store = await load();
+  store.setGlobal({ notes: 'x'.repeat(200) });
+  await assert.rejects(store.idle());
+  await store.idle();  // reported once
+});
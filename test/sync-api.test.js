@@ -0,0 +1,71 @@
+/**
+ * test/sync-api.test.js — /api/sync push and pull against a scratch SQLite file
+ *
+ * Two devices push what they studied offline, in either order; a pull must
+ * return both sessions, whatever order the pushes arrived in.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scratchDb, call } = require('./helpers');
+
+scratchDb('sync.db');
+
+const { memoryStore, setStore } = require('../api/ratelimit');
+const auth = require('../api/auth');
+const sync = require('../api/sync');
+
+setStore(memoryStore());
+
+const DAY = 86400000;
+const T0 = Date.parse('2026-10-01T08:00:00Z');
+
+test('pushes from two devices merge per word and per device', async () => {
+  const [status, reg] = await call(auth, { action: 'register', username: 'synctester', password: 'secret123' });
+  assert.equal(status, 200);
+  const token = reg.token;
+
+  // Laptop reviewed "apple" well yesterday; the phone lapsed it today and also studied "pear"
+  const laptop = {
+    decks: { ielts: { state: { apple: { stage: 'mature', interval: 30, next: T0 + 30 * DAY, mtime: T0 } }, pointsBy: { laptop: 4 } } },
+    global: { totalReviewedBy: { laptop: 4 } },
+  };
+  const phone = {
+    decks: {
+      ielts: {
+        state: {
+          apple: { stage: 'relearn', interval: 1, next: T0 + DAY, mtime: T0 + DAY },
+          pear:  { stage: 'learning', interval: 0, next: T0 + DAY, mtime: T0 + DAY },
+        },
+        pointsBy: { phone: 6 },
+      },
+    },
+    global: { totalReviewedBy: { phone: 6 } },
+  };
+
+  // The phone's newer lapse arrives first, the laptop's stale copy after it
+  assert.equal((await call(sync, { action: 'push', token, data: phone }))[0], 200);
+  assert.equal((await call(sync, { action: 'push', token, data: laptop }))[0], 200);
+
+  const [, pulled] = await call(sync, { action: 'pull', token });
+  const ielts = pulled.data.decks.ielts;
+  assert.equal(ielts.state.apple.stage, 'relearn');
+  assert.equal(ielts.state.pear.stage, 'learning');
+  assert.equal(ielts.points, 10);
+  assert.equal(pulled.data.global.totalReviewed, 10);
+});
+
+test('the push-only token uploads but cannot read or replace data', async () => {
+  const [, reg] = await call(auth, { action: 'register', username: 'pushtester', password: 'secret123' });
+  assert.ok(reg.pushToken && reg.pushExpiresAt > Date.now());
+  const data = { decks: { ielts: { state: { plum: { stage: 'learning', interval: 0, next: T0 + DAY, mtime: T0 } } } } };
+
+  assert.equal((await call(sync, { action: 'push', token: reg.pushToken, data }))[0], 200);
+  assert.equal((await call(sync, { action: 'pull', token: reg.pushToken }))[0], 401);
+  assert.equal((await call(sync, { action: 'merge', token: reg.pushToken, data }))[0], 401);
+  // …and is no access token anywhere else
+  assert.equal((await call(auth, { action: 'account', token: reg.pushToken }))[0], 401);
+
+  const [, pulled] = await call(sync, { action: 'pull', token: reg.token });
+  assert.equal(pulled.data.decks.ielts.state.plum.stage, 'learning');
+});
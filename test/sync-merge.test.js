@@ -0,0 +1,130 @@
+/**
+ * test/sync-merge.test.js — Merge rules of api/sync.js
+ *
+ * Two devices (a phone and a laptop) study offline and sync afterwards; each
+ * case checks that both sessions land in the merged copy.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pickWordState, mergeCounters, mergeWordStates, mergeGlobal, mergeCustomDecks, mergeAll,
+} = require('../api/sync');
+
+const DAY = 86400000;
+const T0 = Date.parse('2026-10-01T08:00:00Z');
+
+test('concurrent reviews of different words both survive', () => {
+  const phone  = { state: { apple: { interval: 3, next: T0 + 3 * DAY, mtime: T0 + 1000 } } };
+  const laptop = { state: { pear:  { interval: 6, next: T0 + 6 * DAY, mtime: T0 + 2000 } } };
+  const merged = mergeWordStates(phone, laptop);
+  assert.equal(merged.state.apple.interval, 3);
+  assert.equal(merged.state.pear.interval, 6);
+});
+
+test('the later review of the same word wins, whichever side it is on', () => {
+  const early = { interval: 6,  next: T0 + 6 * DAY,  mtime: T0 };
+  const late  = { interval: 15, next: T0 + 16 * DAY, mtime: T0 + DAY };
+  assert.equal(pickWordState(early, late), late);
+  assert.equal(pickWordState(late, early), late);
+  assert.equal(mergeWordStates({ state: { w: early } }, { state: { w: late } }).state.w, late);
+});
+
+test('a lapse beats a stale longer interval', () => {
+  const stale = { stage: 'mature', interval: 40, next: T0 + 40 * DAY, mtime: T0 };
+  const lapse = { stage: 'relearn', interval: 1, next: T0 + DAY + 600000, mtime: T0 + DAY };
+  const merged = mergeWordStates({ state: { w: lapse } }, { state: { w: stale } });
+  assert.equal(merged.state.w.stage, 'relearn');
+  assert.equal(merged.state.w.interval, 1);
+});
+
+test('an undone first rating stays undone once the unseen copy syncs', () => {
+  // The rating went up before the undo; the undo resets the card with a later clock
+  const rated  = { stage: 'learning', interval: 0, learningStep: 1, next: T0 + 600000, firstSeen: '2026-10-01', mtime: T0 };
+  const undone = { stage: 'new', interval: 0, ef: 2.5, reps: 0, learningStep: 0, next: 0, mtime: T0 + 5000 };
+  assert.equal(mergeWordStates({ state: { w: rated } }, { state: { w: undone } }).state.w.stage, 'new');
+  assert.equal(mergeWordStates({ state: { w: undone } }, { state: { w: rated } }).state.w.stage, 'new');
+});
+
+test('legacy copies without a clock fall back to the later review time', () => {
+  const a = { interval: 2, next: T0 + 2 * DAY, lastReview: T0 };
+  const b = { interval: 9, next: T0 + 9 * DAY, lastReview: T0 - DAY };
+  assert.equal(pickWordState(a, b), a);
+  assert.equal(pickWordState({ next: T0 }, { next: T0 + DAY }).next, T0 + DAY);
+});
+
+test('per-device counters add up across devices', () => {
+  // Both devices started from the same 10 legacy points, then each earned more
+  const phone  = { _base: 10, phone: 7 };
+  const laptop = { _base: 10, laptop: 5 };
+  const merged = mergeCounters(phone, laptop);
+  assert.deepEqual(merged, { _base: 10, phone: 7, laptop: 5 });
+
+  const decks = mergeWordStates(
+    { state: {}, points: 17, pointsBy: phone },
+    { state: {}, points: 15, pointsBy: laptop },
+  );
+  assert.equal(decks.points, 22);
+});
+
+test('counter merges are idempotent and never lose an increment', () => {
+  const a = { phone: 3, laptop: 1 };
+  const b = { phone: 2, laptop: 4 };
+  const once = mergeCounters(a, b);
+  assert.deepEqual(once, { phone: 3, laptop: 4 });
+  assert.deepEqual(mergeCounters(once, b), once);
+  assert.deepEqual(mergeCounters(b, once), once);
+});
+
+test('a bare legacy total becomes the shared base slot', () => {
+  assert.deepEqual(mergeCounters(undefined, { phone: 4 }, 12), { _base: 12, phone: 4 });
+  const g = mergeGlobal({ totalReviewed: 30 }, { totalReviewed: 20, totalReviewedBy: { _base: 20, laptop: 6 } });
+  assert.equal(g.totalReviewed, 36);
+});
+
+test('the daily streak follows the later study date', () => {
+  const g = mergeGlobal(
+    { dailyStreak: 2,  lastStudyDate: '2026-10-05' },
+    { dailyStreak: 30, lastStudyDate: '2026-09-01' },
+  );
+  assert.equal(g.dailyStreak, 2);
+  assert.equal(g.lastStudyDate, '2026-10-05');
+});
+
+test('a deleted custom deck stays deleted against an older copy', () => {
+  const tombstone = { deleted: true, mtime: T0 + DAY };
+  const old = { name: 'Trip', words: [{ word: 'visa' }], mtime: T0 };
+  assert.deepEqual(mergeCustomDecks({ trip: tombstone }, { trip: old }).trip, tombstone);
+  assert.deepEqual(mergeCustomDecks({ trip: old }, { trip: tombstone }).trip, tombstone);
+});
+
+test('a custom deck edited after its deletion comes back', () => {
+  const tombstone = { deleted: true, mtime: T0 };
+  const edited = { name: 'Trip', words: [{ word: 'visa' }, { word: 'hostel' }], mtime: T0 + DAY };
+  assert.deepEqual(mergeCustomDecks({ trip: tombstone }, { trip: edited }).trip, edited);
+});
+
+test('mergeAll combines decks, review logs and custom decks from both devices', () => {
+  const phone = {
+    decks: { ielts: { state: { apple: { interval: 1, mtime: T0 + 5 } }, pointsBy: { phone: 3 } } },
+    reviewLog: [{ ts: T0 + 5, deck: 'ielts', word: 'apple', source: 'card', rating: 'again' }],
+    customDecks: { trip: { deleted: true, mtime: T0 + DAY } },
+  };
+  const laptop = {
+    decks: {
+      ielts: { state: { apple: { interval: 20, mtime: T0 } }, pointsBy: { laptop: 2 } },
+      daily: { state: { pear: { interval: 2, mtime: T0 } } },
+    },
+    reviewLog: [
+      { ts: T0, deck: 'ielts', word: 'apple', source: 'card', rating: 'good' },
+      { ts: T0 + 5, deck: 'ielts', word: 'apple', source: 'card', rating: 'again' },
+    ],
+    customDecks: { trip: { name: 'Trip', words: [], mtime: T0 } },
+  };
+  const merged = mergeAll(phone, laptop);
+  assert.equal(merged.decks.ielts.state.apple.interval, 1);
+  assert.equal(merged.decks.ielts.points, 5);
+  assert.equal(merged.decks.daily.state.pear.interval, 2);
+  assert.deepEqual(merged.reviewLog.map(e => e.rating), ['good', 'again']);
+  assert.equal(merged.customDecks.trip.deleted, true);
+});